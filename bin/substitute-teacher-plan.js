@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/* global require, process */
+"use strict";
+
+/**
+ * Plan the rotation between sentences ahead of time, so that a Sub given the
+ * plan option doesn't have to.  Reads a JSON array of sentences from a file,
+ * or from stdin, and writes the plan as JSON:
+ *
+ *   substitute-teacher-plan sentences.json > plan.json
+ *
+ * Options:
+ *   --granularity <word|char|grapheme>
+ *   --tokenizer <default|legacy>
+ *   --markup <text|rich>
+ *   --no-best     keep the sentences in the order they are given
+ *   --random      shuffle the sentences, once, when the plan is made
+ */
+var fs = require("fs");
+var core = require("../src/substituteteacher-core.js");
+
+var USAGE = "Usage: substitute-teacher-plan [--granularity word|char|grapheme] " +
+            "[--tokenizer default|legacy] [--markup text|rich] [--no-best] " +
+            "[--random] [sentences.json]";
+
+/**
+ * Read the options and the file name from the command line.
+ *
+ * @param {string[]} args - the arguments after the script name
+ *
+ * @returns {Object} parsed - the options for core.plan, and the file name,
+ *                            or null to read from stdin
+ */
+function parseArgs(args) {
+  var options = {};
+  var file = null;
+  var valued = ["--granularity", "--tokenizer", "--markup"];
+  for (var i = 0; i < args.length; i++) {
+    if (valued.indexOf(args[i]) !== -1 && i + 1 < args.length) {
+      options[args[i].slice(2)] = args[++i];
+    } else if (args[i] === "--no-best") {
+      options.best = false;
+    } else if (args[i] === "--random") {
+      options.random = true;
+    } else if (args[i].charAt(0) !== "-" && file === null) {
+      file = args[i];
+    } else {
+      throw USAGE;
+    }
+  }
+  return { options: options, file: file };
+}
+
+/**
+ * Plan the sentences in `json`, and write the plan to stdout.
+ *
+ * @param {string} json - the JSON array of sentences
+ * @param {Object} options - the options for core.plan
+ */
+function writePlan(json, options) {
+  var sentences = JSON.parse(json);
+  if (!Array.isArray(sentences)) {
+    throw "The sentences must be a JSON array.";
+  }
+  var plan = core.plan(sentences, options);
+  process.stdout.write(JSON.stringify(core.serializePlan(plan)) + "\n");
+}
+
+try {
+  var parsed = parseArgs(process.argv.slice(2));
+  if (parsed.file) {
+    writePlan(fs.readFileSync(parsed.file, "utf8"), parsed.options);
+  } else {
+    var input = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", function(chunk) { input += chunk; });
+    process.stdin.on("end", function() {
+      try {
+        writePlan(input, parsed.options);
+      } catch (e) {
+        process.stderr.write(e + "\n");
+        process.exit(1);
+      }
+    });
+  }
+} catch (e) {
+  process.stderr.write(e + "\n");
+  process.exit(1);
+}
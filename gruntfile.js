@@ -1,11 +1,11 @@
-/* global module */
+/* global module, require */
 "use strict";
 
 module.exports = function (grunt) {
   grunt.initConfig({
     jasmine: {
       pivotal: {
-        src: "src/substituteteacher.js",
+        src: ["src/substituteteacher-core.js", "src/substituteteacher.js"],
         options: {
           specs: "test/*Spec.js",
           helpers: "test/*Helper.js"
@@ -15,11 +15,28 @@ module.exports = function (grunt) {
     uglify: {
       my_target: {
         files: {
-          "src/substituteteacher.min.js": ["src/substituteteacher.js"]
+          "src/substituteteacher.min.js": ["src/substituteteacher-core.js", "src/substituteteacher.js"]
         }
       }
     }
   });
+  // Build substituteteacher-core.mjs from the factory in
+  // substituteteacher-core.js, so that the core can be imported as a real ES
+  // module, in browsers as well as in Node.
+  grunt.registerTask("esm", "Build the ES module of the core.", function() {
+    var source = grunt.file.read("src/substituteteacher-core.js");
+    var header = source.slice(0, source.indexOf("(function(root, factory) {"));
+    var start = source.indexOf("}(this, function() {");
+    var end = source.lastIndexOf("}));");
+    var names = Object.keys(require("./src/substituteteacher-core.js"));
+    grunt.file.write("src/substituteteacher-core.mjs",
+      header.replace(" */\n", " *\n * Built from substituteteacher-core.js by `grunt esm`.\n */\n") +
+      "var core = (function() {" + source.slice(start + "}(this, function() {".length, end) + "}());\n\n" +
+      "export default core;\n\n" +
+      names.map(function(name) {
+        return "export var " + name + " = core." + name + ";\n";
+      }).join(""));
+  });
   grunt.loadNpmTasks("grunt-contrib-jasmine");
   grunt.loadNpmTasks("grunt-contrib-uglify");
   grunt.registerTask("default", ["less"]);
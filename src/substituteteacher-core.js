@@ -0,0 +1,1321 @@
+/**
+ * The DOM-free core of substituteteacher.js: the tokenizers, the diff between
+ * two sentences, and the planner that orders the sentences.  It runs in
+ * browsers, where it is loaded before substituteteacher.js and exposed as
+ * window.SubCore, and in Node, where it can be required or imported.
+ */
+(function(root, factory) {
+
+  "use strict";
+
+  if (typeof define === "function" && define.amd) {
+    define([], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SubCore = factory();
+  }
+
+}(this, function() {
+
+  "use strict";
+
+  /**
+   * Compare function for sorting annotated actions, used to fine the pair of
+   * sentences with the minimum edit distance.
+   *
+   * @param {Object} annotatedAction1 - the annotated action in question
+   * @param {Object} annotatedAction1.action - the action in question
+   * @param {int} annotatedAction1.action.cost - the action's cost
+   * @param {Object} annotatedAction2 - the annotated action to compare to
+   * @param {Object} annotatedAction2.action - the action to compare to
+   * @param {int} annotatedAction1.action.cost - the action to compare to's cost
+   *
+   * @return {int} difference in cost - positive if 1 > 2, negative if 2 > 1,
+   *                                    0 if 1 === 2
+   */
+  function _sortAnnotatedAction(annotatedAction1, annotatedAction2) {
+    return annotatedAction1.action.cost - annotatedAction2.action.cost;
+  }
+
+  /**
+   * Turn words that leave one part of the sentence and arrive, unchanged, in
+   * another into moves, so that they can slide to their new position rather
+   * than fade out and back in.  A word leaves if it is removed or subbed
+   * away, and arrives if it is inserted or subbed in.  The moves are only
+   * used if they do not make the action more expensive.
+   *
+   * @param {Object} actions - the actions computed by _computeActions
+   *
+   * @returns {Object} actions - the same actions, with moves filled in
+   */
+  function _findMoves(actions) {
+    var leaving = [];
+    var arriving = [];
+    var moves = [];
+    var movedFrom = {};
+    var movedTo = {};
+    actions.remove.forEach(function(removeAction) {
+      leaving.push({ word: removeAction.fromWord, index: removeAction.fromIndex });
+    });
+    actions.sub.forEach(function(subAction) {
+      leaving.push({ word: subAction.fromWord, index: subAction.fromIndex });
+      arriving.push({ word: subAction.toWord, index: subAction.toIndex });
+    });
+    actions.insert.forEach(function(insertAction) {
+      arriving.push({ word: insertAction.toWord, index: insertAction.toIndex });
+    });
+    leaving.sort(function(a, b) { return a.index - b.index; });
+    arriving.sort(function(a, b) { return a.index - b.index; });
+
+    arriving.forEach(function(arrival) {
+      for (var i = 0; i < leaving.length; i++) {
+        if (!movedFrom[leaving[i].index] &&
+            _tokenKey(leaving[i].word) === _tokenKey(arrival.word)) {
+          moves.push({
+            fromWord: leaving[i].word,
+            toWord: arrival.word,
+            fromIndex: leaving[i].index,
+            toIndex: arrival.index
+          });
+          movedFrom[leaving[i].index] = true;
+          movedTo[arrival.index] = true;
+          return;
+        }
+      }
+    });
+    if (moves.length === 0) {
+      return actions;
+    }
+
+    // A sub that loses one of its words to a move turns into a plain removal
+    // or insertion of the other.
+    var sub = [], remove = [], insert = [];
+    actions.sub.forEach(function(subAction) {
+      if (!movedFrom[subAction.fromIndex] && !movedTo[subAction.toIndex]) {
+        sub.push(subAction);
+      } else if (!movedFrom[subAction.fromIndex]) {
+        remove.push({ fromWord: subAction.fromWord, fromIndex: subAction.fromIndex });
+      } else if (!movedTo[subAction.toIndex]) {
+        insert.push({ toWord: subAction.toWord, toIndex: subAction.toIndex });
+      }
+    });
+    actions.remove.forEach(function(removeAction) {
+      if (!movedFrom[removeAction.fromIndex]) {
+        remove.push(removeAction);
+      }
+    });
+    actions.insert.forEach(function(insertAction) {
+      if (!movedTo[insertAction.toIndex]) {
+        insert.push(insertAction);
+      }
+    });
+
+    var cost = sub.length + remove.length + insert.length + moves.length;
+    if (cost > actions.cost) {
+      return actions;
+    }
+    actions.sub = sub;
+    actions.remove = remove.sort(function(a, b) { return a.fromIndex - b.fromIndex; });
+    actions.insert = insert.sort(function(a, b) { return a.toIndex - b.toIndex; });
+    actions.move = moves;
+    actions.cost = cost;
+    return actions;
+  }
+
+  /**
+   * Find which side, if any, a punctuation token should be glued to.
+   *
+   * @param {string} text - the text of the token
+   * @param {bool} opening - true if an even number of quotes came before the
+   *                         token, which makes a quote an opening quote
+   *
+   * @returns {string} attach - "left" to glue the token to the one before
+   *                            it, "right" to glue it to the one after it,
+   *                            or null
+   */
+  function _attachment(text, opening) {
+    if (text.match(/^[.,;:!?)\]}]$/)) {
+      return "left";
+    }
+    if (text.match(/^[(\[{]$/)) {
+      return "right";
+    }
+    if (text === "\"") {
+      return opening ? "right" : "left";
+    }
+    return null;
+  }
+
+  /**
+   * Remove the spaces between punctuation and the tokens it is attached to,
+   * so that "( in )" renders as "(in)".
+   *
+   * @param {Object[]} tokens - the tokens to glue, modified in place
+   *
+   * @returns {Object[]} tokens - the same tokens
+   */
+  function _glue(tokens) {
+    tokens.forEach(function(token, i) {
+      if (token.attach === "left" && i > 0) {
+        token.spaceBefore = false;
+        tokens[i - 1].spaceAfter = false;
+      }
+      if (token.attach === "right" && i < tokens.length - 1) {
+        token.spaceAfter = false;
+        tokens[i + 1].spaceBefore = false;
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * Parse the raw sentence into an array of word tokens.
+   *
+   * Separate the sentence by spaces, and then go along each word and pull
+   * punctuation off words that end with a punctuation symbol:
+   *
+   *  "We're here (in Wilkes-Barre), finally!" => tokens with the text
+   *  ["We're", "here", "(", "in", "Wilkes-Barre", ")", ",", "finally", "!"]
+   *
+   * Rather than being tokens of their own, spaces are recorded on the tokens
+   * either side of them.  Punctuation is glued to the word it belongs to, so
+   * "(" has no space after it, and ")" and "," have no space before them.
+   *
+   * @param {string} rawSentence the sentence to parse
+   * @returns {Object[]} sentence the sentence split up into tokens
+   *   @returns {string} sentence.text - the text of the token
+   *   @returns {bool} sentence.spaceBefore - true if a space comes before it
+   *   @returns {bool} sentence.spaceAfter - true if a space comes after it
+   *   @returns {string} sentence.attach - "left" or "right" if the token is
+   *                                       punctuation glued to that side,
+   *                                       otherwise null
+   */
+  function _parseSentence(rawSentence) {
+    if (!rawSentence || typeof rawSentence !== "string") {
+      throw "rawSentence must be a string.";
+    }
+    var tokens = [];
+    var spaceBefore = false;
+    var quotes = 0;
+    var start, end, endChar;
+    var addToken = function(text) {
+      tokens.push({
+        text: text,
+        spaceBefore: spaceBefore,
+        spaceAfter: false,
+        attach: _attachment(text, quotes % 2 === 0)
+      });
+      if (text === "\"") {
+        quotes++;
+      }
+      spaceBefore = false;
+    };
+    for (start = 0, end = 0; end < rawSentence.length; end++) {
+      endChar = rawSentence.charAt(end);
+
+      /**
+       * Characters that should "detach" from strings are:
+       *   ().,/![]*;:{}=?"+ or whitespace
+       * Characters that remain that remain a part of the word include:
+       *   -#$%^&_`~'
+       */
+      if (endChar.match(/[\.,"\/!\?\*\+;:{}=()\[\]\s]/g)) {
+        // Append the word we've been building
+        if (end > start) {
+          addToken(rawSentence.slice(start, end));
+        }
+
+        if (endChar.match(/\s/g)) {
+          // Whitespace is recorded on the tokens either side of it
+          if (tokens.length > 0) {
+            tokens[tokens.length - 1].spaceAfter = true;
+          }
+          spaceBefore = true;
+        } else {
+          // Otherwise it is a special character, and should be split off
+          // into its own token
+          addToken(endChar);
+        }
+
+        // The start of the next word is the next character to be seen.
+        start = end + 1;
+      }
+    }
+    if (start < end) {
+      addToken(rawSentence.slice(start, end));
+    }
+    return _glue(tokens);
+  }
+
+  /**
+   * Turn a list of pieces of a sentence (characters, graphemes or words) into
+   * tokens, recording whitespace pieces on the tokens either side of them.
+   * Pieces may also be tokens already, in which case they are copied.
+   *
+   * @param {Array} pieces - the pieces of the sentence, in order: strings or
+   *                         objects with the fields of a token
+   * @param {bool} glue - true to glue punctuation to the words around it
+   *
+   * @returns {Object[]} sentence - the tokens, as returned by _parseSentence
+   */
+  function _tokensFromPieces(pieces, glue) {
+    var tokens = [];
+    var spaceBefore = false;
+    var quotes = 0;
+    pieces.forEach(function(piece) {
+      if (typeof piece === "string" && !piece) {
+        return;
+      }
+      if (typeof piece === "string" && piece.match(/^\s+$/)) {
+        if (tokens.length > 0) {
+          tokens[tokens.length - 1].spaceAfter = true;
+        }
+        spaceBefore = true;
+        return;
+      }
+      var token = (typeof piece === "string") ? { text: piece } : piece;
+      var attach = null;
+      if (token.attach !== undefined) {
+        attach = token.attach;
+      } else if (glue) {
+        attach = _attachment(token.text, quotes % 2 === 0);
+      }
+      if (token.text === "\"") {
+        quotes++;
+      }
+      tokens.push({
+        text: String(token.text),
+        spaceBefore: Boolean(spaceBefore || token.spaceBefore),
+        spaceAfter: Boolean(token.spaceAfter),
+        attach: attach
+      });
+      spaceBefore = false;
+    });
+    return glue ? _glue(tokens) : tokens;
+  }
+
+  /**
+   * Split a sentence into segments with Intl.Segmenter.
+   *
+   * @param {string} rawSentence - the sentence to split
+   * @param {string} granularity - "word" or "grapheme"
+   *
+   * @returns {string[]} segments - the segments, including the whitespace
+   *                                between words
+   */
+  function _segment(rawSentence, granularity) {
+    var segmenter = new Intl.Segmenter(undefined, { granularity: granularity });
+    var segments = [];
+    var iterator = segmenter.segment(rawSentence)[Symbol.iterator]();
+    for (var step = iterator.next(); !step.done; step = iterator.next()) {
+      segments.push(step.value.segment);
+    }
+    return segments;
+  }
+
+  /**
+   * Whether Intl.Segmenter is available in this browser.
+   *
+   * @returns {bool} available - true if sentences can be segmented
+   */
+  function _canSegment() {
+    return typeof Intl !== "undefined" && typeof Intl.Segmenter === "function";
+  }
+
+  /**
+   * Parse the raw sentence into an array of word tokens using the browser's
+   * word segmentation, which knows where the words are in languages that are
+   * not written with spaces, like Japanese and Thai:
+   *
+   *  "\u79c1\u306f\u732b\u3067\u3059\u3002" => tokens with the text
+   *  ["\u79c1", "\u306f", "\u732b", "\u3067\u3059", "\u3002"]
+   *
+   * Falls back to _parseSentence where Intl.Segmenter is not available.
+   *
+   * @param {string} rawSentence the sentence to parse
+   * @returns {Object[]} sentence the sentence split up into words
+   */
+  function _parseWords(rawSentence) {
+    if (!rawSentence || typeof rawSentence !== "string") {
+      throw "rawSentence must be a string.";
+    }
+    if (!_canSegment()) {
+      return _parseSentence(rawSentence);
+    }
+    return _tokensFromPieces(_segment(rawSentence, "word"), true);
+  }
+
+  /**
+   * Parse the raw sentence into an array of character tokens.
+   *
+   *  "A cat" => tokens with the text ["A", "c", "a", "t"], where "A" has a
+   *             space after it
+   *
+   * Characters outside of the Basic Multilingual Plane (e.g. emoji) are kept
+   * whole, rather than split into their surrogate pairs.
+   *
+   * @param {string} rawSentence the sentence to parse
+   * @returns {Object[]} sentence the sentence split up into characters
+   */
+  function _parseCharacters(rawSentence) {
+    if (!rawSentence || typeof rawSentence !== "string") {
+      throw "rawSentence must be a string.";
+    }
+    return _tokensFromPieces(rawSentence.match(/\s+|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g));
+  }
+
+  /**
+   * Parse the raw sentence into an array of grapheme tokens: the characters a
+   * reader would see, so that accents, emoji with modifiers, etc. animate as
+   * one.  Uses Intl.Segmenter where it is available, and otherwise attaches
+   * combining marks, variation selectors and zero width joiners to the
+   * characters before them.
+   *
+   *  "Cafe\u0301" => tokens with the text ["C", "a", "f", "e\u0301"]
+   *
+   * @param {string} rawSentence the sentence to parse
+   * @returns {Object[]} sentence the sentence split up into graphemes
+   */
+  function _parseGraphemes(rawSentence) {
+    if (!rawSentence || typeof rawSentence !== "string") {
+      throw "rawSentence must be a string.";
+    }
+    var graphemes;
+    if (_canSegment()) {
+      graphemes = _segment(rawSentence, "grapheme");
+    } else {
+      var character = "(?:[\\uD800-\\uDBFF][\\uDC00-\\uDFFF]|[^\\uD800-\\uDFFF])";
+      var marks = "[\\u0300-\\u036F\\u1AB0-\\u1AFF\\u1DC0-\\u1DFF\\u20D0-\\u20FF\\uFE0E\\uFE0F\\uFE20-\\uFE2F]|\\uD83C[\\uDFFB-\\uDFFF]";
+      var grapheme = character + "(?:" + marks + ")*(?:\\u200D" + character + "(?:" + marks + ")*)*";
+      graphemes = rawSentence.match(new RegExp("\\s+|" + grapheme + "|[\\s\\S]", "g"));
+    }
+    return _tokensFromPieces(graphemes);
+  }
+
+  /**
+   * The string used to tell tokens apart when diffing.  Tokens that only
+   * differ in the spaces around them are the same word.  Plain strings are
+   * accepted as tokens too.
+   *
+   * @param {Object|string} token - the token
+   *
+   * @returns {string} key - the token's key
+   */
+  function _tokenKey(token) {
+    if (typeof token === "string") {
+      return token;
+    }
+    return (token.open || "") + token.text;
+  }
+
+  /**
+   * The text of a sentence, as a screen reader should read it.
+   *
+   * @param {Object[]} sentence - the sentence
+   *
+   * @returns {string} text - the tokens, with spaces where there are spaces
+   */
+  function _sentenceText(sentence) {
+    return sentence.map(function(token) {
+      return token.text + (token.spaceAfter ? " " : "");
+    }).join("");
+  }
+
+  /**
+   * Normalize a sentence as it was passed in, either a string or an object
+   * with `text` and optional `interval`, `className` and `data`.
+   *
+   * @param {string|Object} rawSentence - the sentence
+   *
+   * @returns {Object} sentence - an object with at least `text`
+   */
+  function _sentenceOptions(rawSentence) {
+    if (typeof rawSentence === "string") {
+      return { text: rawSentence };
+    }
+    if (!rawSentence || typeof rawSentence.text !== "string") {
+      throw "Each sentence must be a string or an object with text.";
+    }
+    return rawSentence;
+  }
+
+  /**
+   * Find the sentence with the given text.
+   *
+   * @param {Array} rawSentences - the sentences, as strings or objects
+   * @param {string} text - the text to look for
+   *
+   * @returns {int} index - the index of the sentence, or -1
+   */
+  function _indexOfText(rawSentences, text) {
+    for (var i = 0; i < rawSentences.length; i++) {
+      if (_sentenceOptions(rawSentences[i]).text === text) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find the direction of the first strongly directional character in a
+   * token's text.  Digits, punctuation and symbols are neutral: they take
+   * the direction of the text around them.
+   *
+   * @param {Object|string} token - the token
+   *
+   * @returns {string} direction - "ltr", "rtl", or null if neutral
+   */
+  function _tokenDirection(token) {
+    var text = (typeof token === "string") ? token : token.text;
+    var strong = text.match(/[A-Za-z\u00C0-\u02B8\u0370-\u058F\u0900-\u1FFF\u2C00-\uD7FF\uF900-\uFB1C]|[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/);
+    if (!strong) {
+      return null;
+    }
+    return strong[0].match(/[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/) ? "rtl" : "ltr";
+  }
+
+  /**
+   * Check whether two tokens would render identically.
+   *
+   * @param {Object|string} token1 - the first token
+   * @param {Object|string} token2 - the token to compare to
+   *
+   * @returns {bool} same - true if the tokens have the same key and spacing
+   */
+  function _sameToken(token1, token2) {
+    return _tokenKey(token1) === _tokenKey(token2) &&
+           Boolean(token1.spaceAfter) === Boolean(token2.spaceAfter);
+  }
+
+  /**
+   * Inline elements allowed in rich markup, and the attributes each may keep.
+   */
+  var RICH_TAGS = {
+    b: [],
+    strong: [],
+    em: [],
+    i: [],
+    a: ["href"],
+    span: ["class"]
+  };
+
+  /**
+   * Escape text so that it can be safely placed in HTML.
+   *
+   * @param {string} text - the text to escape
+   *
+   * @returns {string} html - the escaped text
+   */
+  function _escapeHTML(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Decode the character references in a piece of markup text.
+   *
+   * @param {string} html - the text to decode
+   *
+   * @returns {string} text - the decoded text
+   */
+  function _decodeHTML(html) {
+    var named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00a0" };
+    return html.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function(reference, name) {
+      if (name.charAt(0) === "#") {
+        var code = (name.charAt(1).toLowerCase() === "x") ?
+          parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        // Surrogates and numbers past the last code point aren't characters
+        if (code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+          return reference;
+        }
+        if (code > 0xFFFF) {
+          code -= 0x10000;
+          return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+        }
+        return String.fromCharCode(code);
+      }
+      return named.hasOwnProperty(name.toLowerCase()) ? named[name.toLowerCase()] : reference;
+    });
+  }
+
+  /**
+   * Build the sanitized opening tag for an element allowed in rich markup.
+   * Links may only point at http(s), mailto, or relative urls, and classes
+   * may only contain word characters and dashes.
+   *
+   * @param {string} name - the lowercase tag name, a key of RICH_TAGS
+   * @param {string} rawAttributes - everything between the tag name and ">"
+   *
+   * @returns {string} tag - the opening tag
+   */
+  function _openRichTag(name, rawAttributes) {
+    var tag = "<" + name;
+    var attributePattern = /([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+    var match, attribute, value;
+    while ((match = attributePattern.exec(rawAttributes)) !== null) {
+      attribute = match[1].toLowerCase();
+      value = _decodeHTML(match[2] || match[3] || match[4] || "");
+      if (RICH_TAGS[name].indexOf(attribute) === -1) {
+        continue;
+      }
+      if (attribute === "href") {
+        var url = value.replace(/[\u0000-\u0020]/g, "");
+        if (url.match(/^[a-z][a-z0-9+.\-]*:/i) && !url.match(/^(https?|mailto):/i)) {
+          continue;
+        }
+      }
+      if (attribute === "class") {
+        value = value.split(/\s+/).filter(function(className) {
+          return className.match(/^[\w\-]+$/);
+        }).join(" ");
+      }
+      tag += " " + attribute + "=\"" + _escapeHTML(value) + "\"";
+    }
+    return tag + ">";
+  }
+
+  /**
+   * Parse a sentence written in restricted inline markup into tokens.  Only
+   * the elements in RICH_TAGS are kept; any other tag is dropped, leaving its
+   * text.  The text between tags is split up with `parser`, and each token
+   * records the sanitized HTML of the elements it appears inside:
+   *
+   *  "A <b>bold</b> move" => [
+   *    { text: "A", open: "", close: "", ... },
+   *    { text: "bold", open: "<b>", close: "</b>", ... },
+   *    { text: "move", open: "", close: "", ... } ]
+   *
+   * @param {string} rawSentence - the sentence to parse
+   * @param {function} parser - splits plain text into tokens
+   *
+   * @returns {Object[]} sentence - the sentence split up into tokens, as
+   *                                returned by _parseSentence, with `open`
+   *                                and `close` tags
+   */
+  function _parseMarkup(rawSentence, parser) {
+    if (!rawSentence || typeof rawSentence !== "string") {
+      throw "rawSentence must be a string.";
+    }
+    var tokens = [];
+    var open = []; // the stack of elements we are inside: { name, tag }
+    var tagPattern = /<(\/?)([a-z]+)([^>]*)>/gi;
+    var position = 0;
+    var match;
+
+    var addText = function(html) {
+      var text = _decodeHTML(html);
+      if (!text) {
+        return;
+      }
+      var parsed = parser(text);
+      var previous = tokens[tokens.length - 1];
+
+      // Spaces at the edge of this run of text belong to the tokens on
+      // either side of it.
+      if (previous && text.match(/^\s/)) {
+        previous.spaceAfter = true;
+      }
+      if (previous && parsed.length > 0 && previous.spaceAfter) {
+        parsed[0].spaceBefore = true;
+      }
+      var before = open.map(function(element) { return element.tag; }).join("");
+      var after = open.slice().reverse().map(function(element) {
+        return "</" + element.name + ">";
+      }).join("");
+      parsed.forEach(function(token) {
+        token.open = before;
+        token.close = after;
+        tokens.push(token);
+      });
+    };
+
+    while ((match = tagPattern.exec(rawSentence)) !== null) {
+      addText(rawSentence.slice(position, match.index));
+      position = match.index + match[0].length;
+      var name = match[2].toLowerCase();
+      if (!RICH_TAGS.hasOwnProperty(name)) {
+        continue;
+      }
+      if (match[1]) {
+        // Close the most recent matching element, and anything left open
+        // inside of it.
+        for (var i = open.length - 1; i >= 0; i--) {
+          if (open[i].name === name) {
+            open = open.slice(0, i);
+            break;
+          }
+        }
+      } else {
+        open.push({ name: name, tag: _openRichTag(name, match[3]) });
+      }
+    }
+    addText(rawSentence.slice(position));
+    return _glue(tokens);
+  }
+
+  /**
+   * Check whether two token lists represent the same sentence.
+   *
+   * @param {Object[]} sentence1 - the first sentence
+   * @param {Object[]} sentence2 - the sentence to compare to
+   *
+   * @returns {bool} same - true if the sentences have identical tokens
+   */
+  function _sameSentence(sentence1, sentence2) {
+    if (!sentence1 || !sentence2 || sentence1.length !== sentence2.length) {
+      return false;
+    }
+    for (var i = 0; i < sentence1.length; i++) {
+      if (!_sameToken(sentence1[i], sentence2[i])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Split text into the characters a reader sees, for effects that reveal a
+   * word a character at a time.
+   *
+   * @param {string} text - the text to split
+   *
+   * @returns {string[]} characters - the graphemes of the text
+   */
+  function _characters(text) {
+    return _canSegment() ? _segment(text, "grapheme") : text.split("");
+  }
+
+  /**
+   * Parse the array of raw sentences into an array of arrays of words.
+   *
+   * @param {Array} rawSentences the sentences to parse, as strings or objects
+   * @param {Object} options - how to split the sentences up
+   * @param {string} options.granularity - "word", "char" or "grapheme"
+   * @param {string|function} options.tokenizer - how to split words, as
+   *                                              taken by _wordParser
+   * @param {string} options.markup - "text" or "rich"
+   * @returns {Object[][]} sentences the
+   */
+  function _parseSentences(rawSentences, options) {
+    options = options || {};
+    var granularity = options.granularity || "word";
+    var markup = options.markup || "text";
+    if (!rawSentences || typeof rawSentences !== "object") {
+      throw "rawSentences must be an array of sentences.";
+    }
+    var texts = rawSentences.map(function(rawSentence) {
+      return _sentenceOptions(rawSentence).text;
+    });
+    var parsers = {
+      word: _wordParser(options.tokenizer || "default"),
+      char: _parseCharacters,
+      grapheme: _parseGraphemes
+    };
+    var parser = parsers[granularity];
+    if (!parsers.hasOwnProperty(granularity)) {
+      throw "Unknown granularity: " + granularity;
+    }
+    if (markup === "rich") {
+      return texts.map(function(text) {
+        return _parseMarkup(text, parser);
+      });
+    }
+    if (markup !== "text") {
+      throw "Unknown markup: " + markup;
+    }
+    return texts.map(parser);
+  }
+
+  /**
+   * Get the function that splits a sentence into words, as chosen by the
+   * tokenizer setting.  The output of a custom tokenizer is turned into
+   * tokens, with punctuation glued to the words around it.
+   *
+   * @param {string|function} tokenizer - "default", "legacy", or a function
+   *                                      that splits a sentence into pieces
+   *
+   * @returns {function} parser - takes a raw sentence and returns tokens
+   */
+  function _wordParser(tokenizer) {
+    var tokenizers = {
+      "default": _parseWords,
+      legacy: _parseSentence
+    };
+    if (typeof tokenizer === "function") {
+      return function(rawSentence) {
+        var pieces = tokenizer(rawSentence);
+        if (!pieces || typeof pieces !== "object" || pieces.length === undefined) {
+          throw "tokenizer must return an array.";
+        }
+        return _tokensFromPieces(Array.prototype.slice.call(pieces), true);
+      };
+    }
+    if (!tokenizers.hasOwnProperty(tokenizer)) {
+      throw "Unknown tokenizer: " + tokenizer;
+    }
+    return tokenizers[tokenizer];
+  }
+
+  /**
+   * Compute the cheapest actions required to transform `from` into `to`.
+   *
+   * This is a word-level edit distance: a table of the minimum cost of
+   * changing every suffix of `from` into every suffix of `to` is filled in,
+   * and then walked from the start of both sentences to pick out the actions.
+   *
+   * Example:
+   *     from: ["The", "quick", "brown", "fox", "is", "very", "cool", ",", "supposedly", "."]
+   *       to: ["The", "brown", "color", "is", "very", "very", "pretty", ",", "no", "?"]
+   *   output:
+   *     {
+   *       from: ["The", "quick", "brown", "fox", "is", "very", "cool", ",", "supposedly", "."],
+   *       to: ["The", "brown", "color", "is", "very", "very", "pretty", ",", "no", "?"],
+   *       sub:[
+   *       { fromWord: "fox",        toWord: "color", fromIndex: 3, toIndex: 2 },
+   *       { fromWord: "cool",       toWord: "very",  fromIndex: 6, toIndex: 5 },
+   *       { fromWord: "supposedly", toWord: "no",    fromIndex: 8, toIndex: 8 },
+   *       { fromWord: ".",          toWord: "?",     fromIndex: 9, toIndex: 9 } ],
+   *       remove: [
+   *       { fromWord: "quick", fromIndex: 1 } ],
+   *       insert: [
+   *       { toWord: "pretty", toIndex: 6 } ],
+   *       keep: [
+   *       { fromWord: "The",   toWord: "The",   fromIndex: 0, toIndex: 0 },
+   *       { fromWord: "brown", toWord: "brown", fromIndex: 2, toIndex: 1 },
+   *       { fromWord: "is",    toWord: "is",    fromIndex: 4, toIndex: 3 },
+   *       { fromWord: "very",  toWord: "very",  fromIndex: 5, toIndex: 4 },
+   *       { fromWord: ",",     toWord: ",",     fromIndex: 7, toIndex: 7 } ],
+   *       move: [],
+   *       cost: 6
+   *     }
+   *
+   * @param {Object[]} from - the sentence to change from
+   * @param {Object[]} to - the sentence to change to
+   *
+   * @returns {object} actions - comamnds to perform
+   *   @returns {string[]} actions.from - the from sentence
+   *   @returns {string[]} actions.to - the to sentence
+   *   @returns {object[]} actions.sub - substitutions to do
+   *     @returns {string} actions.sub.fromWord - word to sub
+   *     @returns {string} actions.sub.toWord - word to sub with
+   *     @returns {int} actions.sub.fromIndex - index of word to sub
+   *     @returns {int} actions.sub.toIndex - index of word to sub with
+   *   @returns {object[]} actions.remove - removals to do
+   *     @returns {string} actions.remove.fromWord - word to remove
+   *     @returns {int} actions.remove.fromIndex - index of word to remove
+   *   @returns {object[]} actions.insert - insertions to do
+   *     @returns {string} actions.insert.toWord - word to insert
+   *     @returns {int} actions.insert.toIndex - index of word to insert
+   *   @returns {object[]} actions.keep - words to keep (no-ops)
+   *     @returns {string} actions.keep.fromWord - word to keep (from)
+   *     @returns {string} actions.keep.toWord - word to keep (to)
+   *     @returns {int} actions.keep.fromIndex - index in from of word to keep
+   *     @returns {int} actions.keep.toIndex - index in to of word to keep
+   *   @returns {object[]} actions.move - words to slide to a new position
+   *     @returns {string} actions.move.fromWord - word to move (from)
+   *     @returns {string} actions.move.toWord - word to move (to)
+   *     @returns {int} actions.move.fromIndex - index in from of word to move
+   *     @returns {int} actions.move.toIndex - index in to of word to move
+   *   @returns {int} actions.cost - total cost of action =
+   *                                 removals + substitutions + insertions +
+   *                                 moves
+   */
+  function _computeActions(from, to) {
+    var actions = {
+      from: from,
+      to: to,
+      sub: [],
+      remove: [],
+      insert: [],
+      keep: [],
+      move: [],
+      cost: 0
+    };
+
+    var i, j;
+    var fromKeys = from.map(_tokenKey);
+    var toKeys = to.map(_tokenKey);
+
+    // costs[i][j] is the minimum cost of changing from.slice(i) into
+    // to.slice(j).  Keeps are free; subs, removals and insertions cost 1.
+    var costs = [];
+    for (i = from.length; i >= 0; i--) {
+      costs[i] = [];
+      for (j = to.length; j >= 0; j--) {
+        if (i === from.length) {
+          // insert the rest of `to`
+          costs[i][j] = to.length - j;
+        } else if (j === to.length) {
+          // remove the rest of `from`
+          costs[i][j] = from.length - i;
+        } else if (fromKeys[i] === toKeys[j]) {
+          costs[i][j] = costs[i + 1][j + 1];
+        } else {
+          costs[i][j] = 1 + Math.min(costs[i + 1][j + 1],
+                                     costs[i + 1][j],
+                                     costs[i][j + 1]);
+        }
+      }
+    }
+
+    // Walk the table from the start of both sentences, taking a cheapest step
+    // each time.  When steps tie, prefer keep, then sub, then remove, so that
+    // as few words as possible change position.
+    i = 0;
+    j = 0;
+    while (i < from.length || j < to.length) {
+      if (i < from.length && j < to.length && fromKeys[i] === toKeys[j]) {
+        actions.keep.push({
+          fromWord: from[i],
+          toWord: to[j],
+          fromIndex: i,
+          toIndex: j
+        });
+        i++;
+        j++;
+      } else if (i < from.length && j < to.length &&
+                 costs[i][j] === costs[i + 1][j + 1] + 1) {
+        actions.sub.push({
+          fromWord: from[i],
+          toWord: to[j],
+          fromIndex: i,
+          toIndex: j
+        });
+        i++;
+        j++;
+      } else if (i < from.length && (j === to.length ||
+                 costs[i][j] === costs[i + 1][j] + 1)) {
+        actions.remove.push({
+          fromWord: from[i],
+          fromIndex: i
+        });
+        i++;
+      } else {
+        actions.insert.push({
+          toWord: to[j],
+          toIndex: j
+        });
+        j++;
+      }
+    }
+
+    actions.cost = costs[0][0];
+    return _findMoves(actions);
+  }
+
+  /**
+   * Plan the actions to rotate between sentences.  If options.best is true,
+   * we order the actions to rotate between sentences with minimal insertions,
+   * removals, and changes.  If options.random is true, the sentences will
+   * appear in a random order (and are shuffled in place).  If both are set,
+   * the sequence will be optimal, but will start from a random position in
+   * the sequence.
+   *
+   * @param {Object[][]} sentences - sentences to be converted to actions
+   * @param {Object} options - how to order the sentences
+   * @param {bool} options.best - true to minimize the changes
+   * @param {bool} options.random - true to shuffle the sentences
+   *
+   * @returns {Object[]} actions - the actions, one per sentence, as returned
+   *                               by _computeActions
+   */
+  function _planActions(sentences, options) {
+    options = options || {};
+    var i, j, prevIndex;
+    var actions = [];
+    if (sentences.length === 0) {
+      return actions;
+    }
+    if (sentences.length === 1) {
+      // Nothing to rotate between, so the only action keeps every word.
+      actions.push(_computeActions(sentences[0], sentences[0]));
+      return actions;
+    }
+
+    if (options.best) {
+      /* Because who says the Traveling Salesman Problem isn't releveant? */
+
+      // compute a table of values table[fromIndex][toIndex] = {
+      //   fromIndex: fromIndex,
+      //   toIndex: toIndex,
+      //   action: the action from sentences[fromIndex] to sentences[toIndex]
+      // }
+      var table = sentences.map(function(from, fromIndex) {
+        return sentences.map(function(to, toIndex) {
+          if (fromIndex === toIndex) {
+            return {
+              action: { cost: Number.MAX_VALUE },
+              fromIndex: fromIndex,
+              toIndex: toIndex
+            };
+          }
+          var action = _computeActions(sentences[fromIndex], sentences[toIndex]);
+          return {
+            action: action,
+            fromIndex: fromIndex,
+            toIndex: toIndex
+          };
+        });
+      });
+      var usedFromIndexes = [];
+      var rows = [];
+
+      // sort each row by cost, then sort the rows by the lowest cost in that
+      // row.  Rows are still looked up by the sentence they change from.
+      table.forEach(function(row) {
+        row.sort(_sortAnnotatedAction);
+        rows[row[0].fromIndex] = row;
+      });
+      table.sort(function(row1, row2) {
+        return row1[0].action.cost - row2[0].action.cost;
+      });
+
+      var first = table[0][0].fromIndex;
+      var from = first;
+
+      // Start with table[0][0], the lowest cost action.  Then, find the lowest
+      // cost actions starting from table[0][0].toIndex, and so forth.
+      for (i = 0; i < sentences.length; i++) {
+        for (j = 0; j < sentences.length; j++) {
+          if ((i === sentences.length - 1 && rows[from][j].toIndex === first) ||
+            (i !== sentences.length - 1 && usedFromIndexes.indexOf(rows[from][j].toIndex) === -1)) {
+            actions.push(rows[from][j].action);
+            usedFromIndexes.push(from);
+            from = rows[from][j].toIndex;
+            break;
+          }
+        }
+      }
+
+      if(options.random) {
+        // start from somewhere other than the beginning.
+        var start = Math.floor(Math.random() * (sentences.length));
+        for (i = 0; i < start; i++) {
+          actions.push(actions.shift());
+        }
+      }
+
+    } else {
+
+      if (options.random) {
+        // shuffle the sentences
+        sentences.sort(function() { return 0.5 - Math.random(); });
+      }
+
+      for (i = 0; i < sentences.length; i++) {
+        prevIndex = (i === 0) ? (sentences.length - 1) : i - 1;
+        actions.push(_computeActions(sentences[prevIndex], sentences[i]));
+      }
+    }
+    return actions;
+  }
+
+  /**
+   * Parse two sentences and compute the actions to change one into the
+   * other.
+   *
+   *  diff("A quick fox", "A slow fox") => {
+   *    from: [tokens of "A quick fox"],
+   *    to: [tokens of "A slow fox"],
+   *    sub: [{ fromWord: quick, toWord: slow, fromIndex: 1, toIndex: 1 }],
+   *    keep: [...], remove: [], insert: [], move: [],
+   *    cost: 1
+   *  }
+   *
+   * @param {string|Object} fromText - the sentence to change from
+   * @param {string|Object} toText - the sentence to change to
+   * @param {Object} options - how to split the sentences up, as taken by
+   *                           _parseSentences
+   *
+   * @returns {Object} actions - the actions, as returned by _computeActions
+   */
+  function _diff(fromText, toText, options) {
+    var sentences = _parseSentences([fromText, toText], options);
+    return _computeActions(sentences[0], sentences[1]);
+  }
+
+  /**
+   * Parse sentences and plan the rotation between them, as a Sub with the
+   * same options would.
+   *
+   * @param {Array} rawSentences - the sentences, as strings or objects
+   * @param {Object} options - how to split the sentences up, as taken by
+   *                           _parseSentences, and how to order them
+   * @param {bool} options.best - true to minimize the changes (the default)
+   * @param {bool} options.random - true to shuffle the sentences
+   *
+   * @returns {Object} plan - the rotation
+   *   @returns {Object[][]} plan.sentences - the parsed sentences, in the
+   *                                          order they were given
+   *   @returns {int[]} plan.order - the indices of the sentences, in the order
+   *                                 they are shown
+   *   @returns {Object[]} plan.actions - the actions that show each sentence
+   *                                      in plan.order, as returned by
+   *                                      _computeActions
+   *   @returns {int} plan.cost - the total cost of one loop
+   */
+  function _plan(rawSentences, options) {
+    options = options || {};
+    var sentences = _parseSentences(rawSentences, options);
+    var actions = _planActions(sentences.slice(), {
+      best: (options.best !== undefined) ? options.best : true,
+      random: options.random
+    });
+    return {
+      sentences: sentences,
+      order: actions.map(function(action) {
+        return sentences.indexOf(action.to);
+      }),
+      actions: actions,
+      cost: actions.reduce(function(cost, action) {
+        return cost + action.cost;
+      }, 0)
+    };
+  }
+
+  /**
+   * The version of the plans written by _serializePlan.
+   */
+  var PLAN_VERSION = 1;
+
+  /**
+   * Turn a plan into an object that can be saved as JSON, and loaded again
+   * with _loadPlan.  Words are referred to by their index, and sentences by
+   * their index and text:
+   *
+   *  {
+   *    version: 1,
+   *    sentences: ["A cat", "A dog"],
+   *    order: [1, 0],
+   *    actions: [
+   *      { from: 0, to: 1, keep: [[0, 0]], sub: [[1, 1]], remove: [],
+   *        insert: [], move: [] },
+   *      ... ]
+   *  }
+   *
+   * @param {Object} plan - the plan, as returned by _plan
+   *
+   * @returns {Object} serialized - the plan, as plain data
+   */
+  function _serializePlan(plan) {
+    var pair = function(step) {
+      return [step.fromIndex, step.toIndex];
+    };
+    return {
+      version: PLAN_VERSION,
+      sentences: plan.sentences.map(_sentenceText),
+      order: plan.order.slice(),
+      actions: plan.actions.map(function(action) {
+        return {
+          from: plan.sentences.indexOf(action.from),
+          to: plan.sentences.indexOf(action.to),
+          keep: action.keep.map(pair),
+          sub: action.sub.map(pair),
+          remove: action.remove.map(function(step) { return step.fromIndex; }),
+          insert: action.insert.map(function(step) { return step.toIndex; }),
+          move: action.move.map(pair)
+        };
+      })
+    };
+  }
+
+  /**
+   * Check that a value from a saved plan is a whole number that can index a
+   * list of the given length.
+   *
+   * @param {*} value - the value to check
+   * @param {number} length - the length of the list
+   *
+   * @returns {boolean} isIndex - whether the value is an index into the list
+   */
+  function _isIndex(value, length) {
+    return typeof value === "number" && value % 1 === 0 && value >= 0 && value < length;
+  }
+
+  /**
+   * Turn a plan saved by _serializePlan back into actions for the given
+   * sentences.  The plan is checked against the sentences: each must have
+   * the same text, there must be one action showing each sentence, each
+   * starting from the sentence the one before it showed, in the order the
+   * plan gives, and each action must account for every word of the
+   * sentences it changes between, exactly once.
+   *
+   * @param {Object|string} serialized - the plan, or its JSON
+   * @param {Object[][]} sentences - the parsed sentences
+   *
+   * @returns {Object[]} actions - the actions, as returned by _planActions,
+   *                               or null if the plan is not a plan, was
+   *                               made for different sentences, or for
+   *                               words split up differently
+   */
+  function _loadPlan(serialized, sentences) {
+    var plan = serialized;
+    var i;
+    if (typeof serialized === "string") {
+      try {
+        plan = JSON.parse(serialized);
+      } catch (e) {
+        return null;
+      }
+    }
+    if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.sentences) ||
+        !Array.isArray(plan.actions) || !Array.isArray(plan.order)) {
+      return null;
+    }
+    if (plan.sentences.length !== sentences.length ||
+        plan.actions.length !== sentences.length ||
+        plan.order.length !== sentences.length) {
+      return null;
+    }
+    var shown = sentences.map(function() { return false; });
+    for (i = 0; i < sentences.length; i++) {
+      var step = plan.actions[i];
+      var previous = plan.actions[(i === 0) ? sentences.length - 1 : i - 1];
+      if (plan.sentences[i] !== _sentenceText(sentences[i]) ||
+          !step || typeof step !== "object" || !previous ||
+          !_isIndex(step.from, sentences.length) || !_isIndex(step.to, sentences.length) ||
+          step.from !== previous.to ||
+          step.to !== plan.order[i] || shown[step.to] !== false) {
+        return null;
+      }
+      shown[step.to] = true;
+    }
+
+    var actions = [];
+    var fits = plan.actions.every(function(step) {
+      var from = sentences[step.from];
+      var to = sentences[step.to];
+      var fields = ["keep", "sub", "remove", "insert", "move"];
+      if (!fields.every(function(type) { return Array.isArray(step[type]); })) {
+        return false;
+      }
+      var action = { from: from, to: to, sub: [], remove: [], insert: [], keep: [], move: [] };
+      var fromUsed = from.map(function() { return false; });
+      var toUsed = to.map(function() { return false; });
+      var use = function(used, index) {
+        if (!_isIndex(index, used.length) || used[index]) {
+          return false;
+        }
+        used[index] = true;
+        return true;
+      };
+      var pairs = function(type, same) {
+        return step[type].every(function(pair) {
+          if (!Array.isArray(pair) || pair.length !== 2 ||
+              !use(fromUsed, pair[0]) || !use(toUsed, pair[1]) ||
+              (same && _tokenKey(from[pair[0]]) !== _tokenKey(to[pair[1]]))) {
+            return false;
+          }
+          action[type].push({
+            fromWord: from[pair[0]],
+            toWord: to[pair[1]],
+            fromIndex: pair[0],
+            toIndex: pair[1]
+          });
+          return true;
+        });
+      };
+      var valid = pairs("keep", true) && pairs("sub", false) && pairs("move", true) &&
+        step.remove.every(function(fromIndex) {
+          if (!use(fromUsed, fromIndex)) {
+            return false;
+          }
+          action.remove.push({ fromWord: from[fromIndex], fromIndex: fromIndex });
+          return true;
+        }) &&
+        step.insert.every(function(toIndex) {
+          if (!use(toUsed, toIndex)) {
+            return false;
+          }
+          action.insert.push({ toWord: to[toIndex], toIndex: toIndex });
+          return true;
+        });
+      if (!valid || fromUsed.indexOf(false) !== -1 || toUsed.indexOf(false) !== -1) {
+        return false;
+      }
+      action.cost = action.sub.length + action.remove.length +
+                    action.insert.length + action.move.length;
+      actions.push(action);
+      return true;
+    });
+    return fits ? actions : null;
+  }
+
+  /**
+   * Find the order that the words of a sentence are laid out in, starting
+   * from the edge that the sentence starts at (the left for "ltr", and the
+   * right for "rtl").  Words are floated in this order, so runs of words
+   * written in the opposite direction, like English in an Arabic sentence,
+   * are reversed.  Neutral words, like numbers and punctuation, join a run
+   * if the words on both sides of them are in it.
+   *
+   *  "one \u05e9\u05dc\u05d5\u05dd \u05e2\u05d5\u05dc\u05dd two" => [0, 2, 1, 3]
+   *
+   * @param {Object[]} sentence - the sentence to lay out
+   * @param {string} base - the direction of the sentence, "ltr" or "rtl"
+   *
+   * @returns {int[]} order - the indices of the words, in the order they are
+   *                          laid out
+   */
+  function _visualOrder(sentence, base) {
+    base = base || "ltr";
+    var directions = sentence.map(_tokenDirection);
+    var resolved = directions.map(function(direction, i) {
+      if (direction) {
+        return direction;
+      }
+      var before = null, after = null, j;
+      for (j = i - 1; j >= 0 && !before; j--) {
+        before = directions[j];
+      }
+      for (j = i + 1; j < directions.length && !after; j++) {
+        after = directions[j];
+      }
+      return (before && before === after) ? before : base;
+    });
+
+    var order = [];
+    var run = [];
+    resolved.forEach(function(direction, i) {
+      if (direction === base) {
+        order = order.concat(run, [i]);
+        run = [];
+      } else {
+        run.unshift(i);
+      }
+    });
+    return order.concat(run);
+  }
+
+  return {
+    parseSentence: _parseSentence,
+    parseWords: _parseWords,
+    parseCharacters: _parseCharacters,
+    parseGraphemes: _parseGraphemes,
+    parseMarkup: _parseMarkup,
+    parseSentences: _parseSentences,
+    wordParser: _wordParser,
+    sentenceOptions: _sentenceOptions,
+    sentenceText: _sentenceText,
+    indexOfText: _indexOfText,
+    tokenKey: _tokenKey,
+    tokenDirection: _tokenDirection,
+    sameToken: _sameToken,
+    sameSentence: _sameSentence,
+    escapeHTML: _escapeHTML,
+    characters: _characters,
+    computeActions: _computeActions,
+    planActions: _planActions,
+    diff: _diff,
+    plan: _plan,
+    serializePlan: _serializePlan,
+    loadPlan: _loadPlan,
+    visualOrder: _visualOrder
+  };
+
+}));
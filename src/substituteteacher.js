@@ -1,84 +1,19 @@
-(function(window) {
+(function(window, core) {
 
   "use strict";
 
-  /**
-   * Compare function for sorting annotated actions, used to fine the pair of
-   * sentences with the minimum edit distance.
-   *
-   * @param {Object} annotatedAction1 - the annotated action in question
-   * @param {Object} annotatedAction1.action - the action in question
-   * @param {int} annotatedAction1.action.cost - the action's cost
-   * @param {Object} annotatedAction2 - the annotated action to compare to
-   * @param {Object} annotatedAction2.action - the action to compare to
-   * @param {int} annotatedAction1.action.cost - the action to compare to's cost
-   *
-   * @return {int} difference in cost - positive if 1 > 2, negative if 2 > 1,
-   *                                    0 if 1 === 2
-   */
-  function _sortAnnotatedAction(annotatedAction1, annotatedAction2) {
-    return annotatedAction1.action.cost - annotatedAction2.action.cost;
+  if (!core) {
+    throw "substituteteacher-core.js must be loaded before substituteteacher.js.";
   }
 
-  /**
-   * Parse the raw sentence into an array of words.
-   *
-   * Separate the sentence by spaces, and then go along each word and pull
-   * punctuation off words that end with a punctuation symbol:
-   *
-   *  "We're here (in Wilkes-Barre), finally!" =>
-   *  ["We're", "here", "(", "in", "Wilkes-Barre", ")", ",", "finally", "!"]
-   *
-   * TODO: figure out some way to annotate puncatation so that it can be
-   * rendered without a space in it.
-   *
-   * @param {string[]} rawSentences the sentences to parse
-   * @returns {string[][]} sentences the sentences split up into tokens
-   */
-  function _parseSentence(rawSentence) {
-    if (!rawSentence || typeof rawSentence !== "string") {
-      throw "rawSentence must be a string.";
-    }
-    var components = [];
-    var start, end, endChar;
-    for (start = 0, end = 0; end < rawSentence.length; end++) {
-      endChar = rawSentence.charAt(end);
-
-      /**
-       * Characters that should "detach" from strings are:
-       *   ().,/![]*;:{}=?"+ or whitespace
-       * Characters that remain that remain a part of the word include:
-       *   -#$%^&_`~'
-       */
-      if (endChar.match(/[\.,"\/!\?\*\+;:{}=()\[\]\s]/g)) {
-        // Append the word we've been building
-        if (end > start) {
-          if (endChar.match(/\s/g)) {
-            components.push(rawSentence.slice(start, end) + "&nbsp;");
-          } else {
-            components.push(rawSentence.slice(start, end));
-          }
-        }
-
-        // If the character is not whitespace, then it is a special character
-        // and should be split off into its own string
-        if (!endChar.match(/\s/g)) {
-          if (end +1 < rawSentence.length && rawSentence.charAt(end + 1).match(/\s/g)) {
-            components.push(endChar + "&nbsp;");
-          } else {
-            components.push(endChar);
-          }
-        }
-
-        // The start of the next word is the next character to be seen.
-        start = end + 1;
-      }
-    }
-    if (start < end) {
-      components.push(rawSentence.slice(start, end));
-    }
-    return components;
-  }
+  // The DOM-free helpers this renderer shares with the core
+  var _sameToken = core.sameToken;
+  var _sameSentence = core.sameSentence;
+  var _sentenceText = core.sentenceText;
+  var _sentenceOptions = core.sentenceOptions;
+  var _indexOfText = core.indexOfText;
+  var _escapeHTML = core.escapeHTML;
+  var _characters = core.characters;
 
   /**
    * Find the CSS transition end event that we should listen for.
@@ -104,18 +39,29 @@
     }
   }
 
+  /**
+   * Force the browser to compute the layout of `elem`, so that a style change
+   * made afterwards is transitioned rather than applied immediately.
+   *
+   * @param {HTMLElement} elem - the element to lay out
+   *
+   * @returns {int} width - the offsetWidth of the element
+   */
+  function _reflow(elem) {
+    return elem.offsetWidth;
+  }
+
   /**
    * Generate the HTML associated with each word.
    *
    * @param {string} namespace - the namespace associated with this library,
    *                             which should be prepended to classnames.
-   * @param {int} idx - the index of this word in the sentence.
    *
    * @returns {string} template - the HTML to inject.
    */
-  function _wordTemplate(namespace, idx) {
+  function _wordTemplate(namespace) {
     return (
-      "<div class=\"" + namespace + "-to-idx-" + idx + " " + namespace + "-word\">" +
+      "<div class=\"" + namespace + "-word\" aria-hidden=\"true\">" +
       "<span class=\"" + namespace + "-visible\" style=\"opacity: 0\"></span>" +
       "<span class=\"" + namespace + "-invisible\" style=\"width: 0px\"></span>" +
       "</div>"
@@ -123,25 +69,52 @@
   }
 
   /**
-   * Inject CSS needed to make the transitions work in the <head>.
+   * Find the height of one line of text in an element, in the element's own
+   * font.  Must be called before the element's font is replaced.
+   *
+   * @param {HTMLElement} elem - the element to measure
+   *
+   * @returns {string} height - the height of a line, e.g. "24px"
+   */
+  function _lineHeight(elem) {
+    var lineHeight = window.getComputedStyle(elem).lineHeight;
+    if (lineHeight && lineHeight.match(/px$/)) {
+      return lineHeight;
+    }
+    var probe = document.createElement("div");
+    probe.textContent = "x";
+    elem.appendChild(probe);
+    var height = probe.offsetHeight;
+    elem.removeChild(probe);
+    return height + "px";
+  }
+
+  /**
+   * The CSS needed to make the transitions work, shared by every instance
+   * with the same namespace.
    *
    * @param {string} namespace - the namespace associated with this library,
    *                             which should be prepended to classnames.
-   * @param {number} transitionSpeed - the speed for CSS transitions.
-   * @param {number} height - the outerHeight of the wrapper.
+   *
+   * @returns {string} css - the shared rules
    */
-  function _injectStyle(namespace, transitionSpeed, height, fontFamily) {
-    var css =
+  function _sharedStyle(namespace) {
+    return (
       "@font-face {\n" +
       "    font-family: " + namespace + "-empty;\n" +
       "    src: url(data:application/font-woff;charset=utf-8;base64,d09GRk9UVE8AAAQ0AAoAAAAAA+wAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAABDRkYgAAAA9AAAAJ4AAACeXQ48j09TLzIAAAGUAAAAYAAAAGAIIgbWY21hcAAAAfQAAABEAAAARAAyAGlnYXNwAAACOAAAAAgAAAAIAAAAEGhlYWQAAAJAAAAANgAAADb9mzB5aGhlYQAAAngAAAAkAAAAJAHiAeVobXR4AAACnAAAABAAAAAQAAAAAG1heHAAAAKsAAAABgAAAAYABFAAbmFtZQAAArQAAAFdAAABXVqZXRlwb3N0AAAEFAAAACAAAAAgAAMAAAEABAQAAQEBDHNwYWNlLWVtcHR5AAECAAEAOvgcAvgbA/gYBB4KABlT/4uLHgoAGVP/i4sMB4tr+JT4dAUdAAAAfA8dAAAAgREdAAAACR0AAACVEgAFAQEMFxkbHnNwYWNlLWVtcHR5c3BhY2UtZW1wdHl1MHUxdTIwAAACAYkAAgAEAQEEBwoN/JQO/JQO/JQO/JQO+JQU+JQViwwKAAAAAwIAAZAABQAAAUwBZgAAAEcBTAFmAAAA9QAZAIQAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAABAAAAAIAHg/+D/4AHgACAAAAABAAAAAAAAAAAAAAAgAAAAAAACAAAAAwAAABQAAwABAAAAFAAEADAAAAAIAAgAAgAAAAEAIP/9//8AAAAAACD//f//AAH/4wADAAEAAAAAAAAAAAABAAH//wAPAAEAAAABAAAAeR2GXw889QALAgAAAAAAzz54vgAAAADPPni+AAAAAAAAAAAAAAAIAAIAAAAAAAAAAQAAAeD/4AAAAgAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAABQAAAEAAAAAAAOAK4AAQAAAAAAAQAWAAAAAQAAAAAAAgAOAGMAAQAAAAAAAwAWACwAAQAAAAAABAAWAHEAAQAAAAAABQAWABYAAQAAAAAABgALAEIAAQAAAAAACgAoAIcAAwABBAkAAQAWAAAAAwABBAkAAgAOAGMAAwABBAkAAwAWACwAAwABBAkABAAWAHEAAwABBAkABQAWABYAAwABBAkABgAWAE0AAwABBAkACgAoAIcAcwBwAGEAYwBlAC0AZQBtAHAAdAB5AFYAZQByAHMAaQBvAG4AIAAxAC4AMABzAHAAYQBjAGUALQBlAG0AcAB0AHlzcGFjZS1lbXB0eQBzAHAAYQBjAGUALQBlAG0AcAB0AHkAUgBlAGcAdQBsAGEAcgBzAHAAYQBjAGUALQBlAG0AcAB0AHkARwBlAG4AZQByAGEAdABlAGQAIABiAHkAIABJAGMAbwBNAG8AbwBuAAAAAAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=) format('woff');\n" +
       "}\n" +
       "." + namespace + "-invisible { visibility: hidden; }\n" +
-      "." + namespace + "-animating {\n" +
-      "  -webkit-transition: " + transitionSpeed + "s all linear;\n" +
-      "  -moz-transition: " + transitionSpeed + "s all linear;\n" +
-      "  -o-transition: " + transitionSpeed + "s all linear;\n" +
-      "  transition: " + transitionSpeed + "s all linear; }\n" +
+      "." + namespace + " ." + namespace + "-live {\n" +
+      "  position: absolute;\n" +
+      "  width: 1px;\n" +
+      "  height: 1px;\n" +
+      "  margin: -1px;\n" +
+      "  padding: 0;\n" +
+      "  border: 0;\n" +
+      "  overflow: hidden;\n" +
+      "  clip: rect(0 0 0 0);\n" +
+      "  white-space: nowrap; }\n" +
       "." + namespace + " {\n" +
       "  position: relative;\n" +
       "  font-family: " + namespace + "-empty;\n" +
@@ -153,13 +126,18 @@
       "." + namespace + "-text-width-calculation {\n" +
       "  position: absolute;\n" +
       "  visibility: hidden;\n" +
-      "  font-family: " + fontFamily + ";\n" +
       "  height: auto;\n" +
       "  width: auto;\n" +
       "  display: inline-block;\n" +
       "  white-space: nowrap; }\n" +
+      "." + namespace + "-height-calculation {\n" +
+      "  position: absolute;\n" +
+      "  visibility: hidden;\n" +
+      "  box-sizing: content-box;\n" +
+      "  height: auto;\n" +
+      "  padding: 0;\n" +
+      "  border: 0; }\n" +
       "  ." + namespace + " ." + namespace + "-old-content {\n" +
-      "    font-family: " + fontFamily + ";\n" +
       "    position: absolute;\n" +
       "    left: 0;\n" +
       "    width: 100%;\n" +
@@ -172,18 +150,20 @@
       "  ." + namespace + "." + namespace + "-loaded ." + namespace + "-word {" +
       "    opacity: 1;" +
       "  }\n" +
-      "  ." + namespace + " ." + namespace + "-punctuation { margin-left: -0.3rem; }\n" +
+      "  ." + namespace + " ." + namespace + "-word." + namespace + "-moving { overflow: visible; }\n" +
+      "  ." + namespace + " ." + namespace + "-word." + namespace + "-moving ." + namespace + "-visible { right: auto; }\n" +
+      "  ." + namespace + "." + namespace + "-rtl ." + namespace + "-old-content { left: auto; right: 0; }\n" +
+      "  ." + namespace + "." + namespace + "-rtl ." + namespace + "-word { float: right; }\n" +
+      "  ." + namespace + "." + namespace + "-rtl ." + namespace + "-word." + namespace + "-moving ." + namespace + "-visible { left: auto; right: 0; }\n" +
       "  ." + namespace + " ." + namespace + "-word {\n" +
       "    display: inline-block;\n" +
       "    position: relative;\n" +
       "    float: left;\n" +
       "    opacity: 0;\n" +
-      "    font-family: " + fontFamily + ";\n" +
       "    text-align: center;\n" +
-      "    height: " + height + ";\n" +
       "    white-space: nowrap;\n" +
       "    overflow: hidden;}\n" +
-      "    ." + namespace + " ." + namespace + "-word span {\n" +
+      "    ." + namespace + " ." + namespace + "-word > span {\n" +
       "      top: 0;\n" +
       "      position: relative;\n" +
       "      overflow: hidden;\n" +
@@ -193,22 +173,208 @@
       "      ." + namespace + " ." + namespace + "-word ." + namespace + "-visible {\n" +
       "        position: absolute;\n" +
       "        display: inline-block;\n" +
-      "        height: " + height + ";\n" +
       "        top: 0;\n" +
       "        bottom: 0;\n" +
       "        right:0;\n" +
-      "        left: 0;}";
-    var head = document.head || document.getElementsByTagName("head")[0];
-    var style = document.createElement("style");
+      "        left: 0;}\n");
+  }
+
+  /**
+   * The CSS for the settings of one instance, scoped to its wrapper.
+   *
+   * @param {string} namespace - the namespace of the instance
+   * @param {string} instanceClass - the class unique to the instance's wrapper
+   * @param {number} transitionSpeed - the speed for CSS transitions.
+   * @param {string} easing - the timing function for CSS transitions.
+   * @param {number} height - the height of each word.
+   * @param {string} fontFamily - the font of the wrapper.
+   *
+   * @returns {string} css - the instance's rules
+   */
+  function _instanceStyle(namespace, instanceClass, transitionSpeed, easing, height, fontFamily) {
+    var scope = "." + instanceClass;
+    return (
+      scope + " ." + namespace + "-animating {\n" +
+      "  -webkit-transition: " + transitionSpeed + "s all " + easing + ";\n" +
+      "  -moz-transition: " + transitionSpeed + "s all " + easing + ";\n" +
+      "  -o-transition: " + transitionSpeed + "s all " + easing + ";\n" +
+      "  transition: " + transitionSpeed + "s all " + easing + "; }\n" +
+      scope + "." + namespace + "-wrap {\n" +
+      "  -webkit-transition: " + transitionSpeed + "s height " + easing + ";\n" +
+      "  -moz-transition: " + transitionSpeed + "s height " + easing + ";\n" +
+      "  -o-transition: " + transitionSpeed + "s height " + easing + ";\n" +
+      "  transition: " + transitionSpeed + "s height " + easing + "; }\n" +
+      scope + "." + namespace + "-text-width-calculation { font-family: " + fontFamily + "; }\n" +
+      scope + " ." + namespace + "-old-content { font-family: " + fontFamily + "; }\n" +
+      scope + " ." + namespace + "-word {\n" +
+      "  font-family: " + fontFamily + ";\n" +
+      "  height: " + height + "; }\n" +
+      scope + " ." + namespace + "-word ." + namespace + "-visible { height: " + height + "; }\n"
+    );
+  }
+
+  /**
+   * The <style> elements for each namespace in each root (the document, or a
+   * shadow root), shared by every instance using them, with the rules added
+   * by each instance.
+   */
+  var _styles = [];
+
+  /**
+   * Find the <style> element entry for a namespace in a root.
+   *
+   * @param {Document|ShadowRoot} root - the root the styles apply in
+   * @param {string} namespace - the namespace of the styles
+   *
+   * @returns {Object} entry - the entry in _styles, or null if there is none
+   */
+  function _findStyle(root, namespace) {
+    for (var i = 0; i < _styles.length; i++) {
+      if (_styles[i].root === root && _styles[i].namespace === namespace) {
+        return _styles[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add an instance's rules to the <style> element for its namespace,
+   * injecting the element into the root (the <head> of the document, or the
+   * shadow root) if this is the first instance there.
+   *
+   * @param {Document|ShadowRoot} root - the root the styles apply in
+   * @param {string} namespace - the namespace of the instance
+   * @param {string} instanceClass - the class unique to the instance
+   * @param {string} css - the instance's rules
+   */
+  function _addStyle(root, namespace, instanceClass, css) {
+    var entry = _findStyle(root, namespace);
+    if (!entry) {
+      var style = document.createElement("style");
+      style.type = "text/css";
+      if (root === document) {
+        (document.head || document.getElementsByTagName("head")[0]).appendChild(style);
+      } else {
+        root.appendChild(style);
+      }
+      entry = {
+        root: root,
+        namespace: namespace,
+        element: style,
+        instances: {},
+        count: 0
+      };
+      _styles.push(entry);
+    }
+    if (!entry.instances.hasOwnProperty(instanceClass)) {
+      entry.count++;
+    }
+    entry.instances[instanceClass] = css;
+    _writeStyle(entry);
+  }
+
+  /**
+   * Remove an instance's rules from the <style> element for its namespace,
+   * removing the element once no instance is using it.
+   *
+   * @param {Document|ShadowRoot} root - the root the styles apply in
+   * @param {string} namespace - the namespace of the instance
+   * @param {string} instanceClass - the class unique to the instance
+   */
+  function _removeStyle(root, namespace, instanceClass) {
+    var entry = _findStyle(root, namespace);
+    if (!entry || !entry.instances.hasOwnProperty(instanceClass)) {
+      return;
+    }
+    delete entry.instances[instanceClass];
+    entry.count--;
+    if (entry.count === 0) {
+      entry.element.parentNode.removeChild(entry.element);
+      _styles.splice(_styles.indexOf(entry), 1);
+    } else {
+      _writeStyle(entry);
+    }
+  }
+
+  /**
+   * Write the shared rules and every instance's rules into a <style> element.
+   *
+   * @param {Object} entry - the entry in _styles to write
+   */
+  function _writeStyle(entry) {
+    var css = _sharedStyle(entry.namespace);
+    for (var instanceClass in entry.instances) {
+      if (entry.instances.hasOwnProperty(instanceClass)) {
+        css += entry.instances[instanceClass];
+      }
+    }
+    if (entry.element.styleSheet) {
+      entry.element.styleSheet.cssText = css;
+    } else {
+      entry.element.textContent = css;
+    }
+  }
 
-    style.type = "text/css";
-    if (style.styleSheet) {
-      style.styleSheet.cssText = css;
+  /**
+   * The number of instances created, used to give each a unique class.
+   */
+  var _instanceCount = 0;
+
+  /**
+   * Find the element to put the sentences in.
+   *
+   * @param {HTMLElement|string} container - the element, or a CSS selector
+   *                                         for it
+   * @param {string} containerId - the id of the element, used if there is no
+   *                               container
+   *
+   * @returns {HTMLElement} wrapper - the element
+   */
+  function _findContainer(container, containerId) {
+    var elem;
+    if (!container) {
+      elem = document.getElementById(containerId);
+      if (!elem) {
+        throw "Cannot find element with id:" + containerId;
+      }
+    } else if (typeof container === "string") {
+      elem = document.querySelector(container);
+      if (!elem) {
+        throw "Cannot find element matching:" + container;
+      }
+    } else if (container.nodeType === 1) {
+      elem = container;
     } else {
-      style.appendChild(document.createTextNode(css));
+      throw "container must be an element or a selector.";
+    }
+    return elem;
+  }
+
+  /**
+   * Find the root whose styles apply to an element: the shadow root it is
+   * inside, or otherwise the document.
+   *
+   * @param {HTMLElement} elem - the element
+   *
+   * @returns {Document|ShadowRoot} root - the root
+   */
+  function _styleRoot(elem) {
+    var root = elem.getRootNode ? elem.getRootNode() : document;
+    if (typeof ShadowRoot !== "undefined" && root instanceof ShadowRoot) {
+      return root;
     }
+    return document;
+  }
 
-    head.appendChild(style);
+  /**
+   * Check that an interval is a number of milliseconds, or "auto".
+   *
+   * @param {int|string} interval - the interval to check
+   */
+  function _checkInterval(interval) {
+    if (interval !== "auto" && typeof interval !== "number") {
+      throw "Unknown interval: " + interval;
+    }
   }
 
   /***************************************************************************
@@ -220,18 +386,49 @@
   /**
    * Sub() - the exposed API for substituteteacher.js
    *
-   * @param {string[]} rawSentences - An array of sentences to loop between.
+   * @param {Array} rawSentences - An array of sentences to loop between.  Each
+   *                              is a string, or an object with `text` and
+   *                              optional `interval` (overriding
+   *                              options.interval while it is shown),
+   *                              `className` (added to the container while
+   *                              it is shown) and `data` (passed to event
+   *                              handlers)
    * @param {Object} options - Configuration options
    * @param {string} options.containerId - id of the injection point for HTML
    *                                       default: "sub"
+   * @param {HTMLElement|string} options.container - the injection point for
+   *                                                 HTML, or a CSS selector
+   *                                                 for it.  Used instead of
+   *                                                 containerId if given, and
+   *                                                 may be inside a shadow
+   *                                                 root
+   *                                                 default: null
    * @param {string} options.namespace - namespace to prepend to classes used
    *                                     internally
    *                                     default: "sub"
-   * @param {int} options.interval - number of milliseconds between each change
-   *                                 default: 5000
+   * @param {int|string} options.interval - number of milliseconds between
+   *                                        each change, or "auto" to show
+   *                                        each sentence for as long as it
+   *                                        takes to read
+   *                                        default: 5000
+   * @param {int} options.readingSpeed - words per minute assumed by "auto"
+   *                                     intervals, counting a word as five
+   *                                     characters
+   *                                     default: 200
    * @param {int} options.speed - number of milliseconds that each step of the
    *                              animation should take
    *                              default: 200
+   * @param {string} options.easing - the CSS timing function of each step
+   *                                  default: "linear"
+   * @param {Object} options.durations - number of milliseconds for the
+   *                                     "hide", "resize" and "show" steps
+   *                                     of each word, where they should
+   *                                     differ from options.speed
+   *                                     default: {}
+   * @param {int} options.stagger - number of milliseconds between each
+   *                                changed word starting to animate, in the
+   *                                order they are seen
+   *                                default: 0
    * @param {bool} options.verbose - true to enable console logging
    *                                 default: false
    * @param {bool} options.random - true if the first sentence to appear should
@@ -240,6 +437,12 @@
    * @param {bool} options.best - true if the sentences should be ordered to
    *                              minimize the number of changes performed
    *                              default: true
+   * @param {Object|string} options.plan - a plan made ahead of time by
+   *                                      Sub.serializePlan, or its JSON.
+   *                                      Used instead of ordering the
+   *                                      sentences with best and random, as
+   *                                      long as it fits them
+   *                                      default: null
    * @param {bool} options.mobileWidth - if defined, the sentence loop will stop
    *                                     at screen sizes smaller than the width.
    *                                     defulat: null
@@ -252,6 +455,70 @@
    *                                              is inserted, at which time it
    *                                              will be hidden
    *                                              default: true
+   * @param {string} options.granularity - what each sentence is split into,
+   *                                       and so what animates: "word",
+   *                                       "char", or "grapheme"
+   *                                       default: "word"
+   * @param {string|function} options.tokenizer - how "word" granularity
+   *                                             splits sentences: "default"
+   *                                             to use the browser's word
+   *                                             segmentation, "legacy" to
+   *                                             split on spaces and
+   *                                             punctuation, or a function
+   *                                             taking a sentence and
+   *                                             returning an array of words
+   *                                             and whitespace
+   *                                             default: "default"
+   * @param {string} options.direction - the direction sentences are written
+   *                                     in: "ltr", "rtl", or "auto" to use
+   *                                     the direction of the container
+   *                                     default: "auto"
+   * @param {string} options.layout - "line" to keep sentences on one line
+   *                                  the height of the container, or "wrap"
+   *                                  to let them wrap onto as many lines as
+   *                                  they need, animating the height of the
+   *                                  container to fit
+   *                                  default: "line"
+   * @param {string} options.markup - how sentences are rendered: "text" to
+   *                                  show them exactly as written, or "rich"
+   *                                  to allow inline <b>, <strong>, <em>,
+   *                                  <i>, <a href> and <span class> elements.
+   *                                  Any other markup is removed.
+   *                                  default: "text"
+   * @param {string} options.ariaLive - how screen readers announce each new
+   *                                    sentence: "off", "polite", or
+   *                                    "assertive"
+   *                                    default: "off"
+   * @param {string|Object} options.effect - the name of the effect that words
+   *                                        change with, or an object naming
+   *                                        one for each of "sub", "insert"
+   *                                        and "remove".  See
+   *                                        Sub.registerEffect()
+   *                                        default: "fade"
+   * @param {string} options.driver - what animates words: "web" for the Web
+   *                                  Animations API, "css" for CSS
+   *                                  transitions, or "auto" to use the Web
+   *                                  Animations API where the browser has it
+   *                                  default: "auto"
+   * @param {bool|string} options.reducedMotion - true to swap sentences with
+   *                                              a fade instead of moving
+   *                                              words, false to always move
+   *                                              them, or "auto" to follow
+   *                                              prefers-reduced-motion
+   *                                              default: "auto"
+   * @param {bool} options.pauseOnHover - true to pause while the pointer is
+   *                                     over the container
+   *                                     default: false
+   * @param {bool} options.pauseOnFocus - true to pause while anything in the
+   *                                     container has keyboard focus
+   *                                     default: false
+   * @param {bool} options.pauseOnHidden - true to pause while the page is
+   *                                      hidden, e.g. in a background tab
+   *                                      default: true
+   * @param {bool} options.pauseOnOffscreen - true to pause while the
+   *                                         container is scrolled out of
+   *                                         view
+   *                                         default: false
    * @param {bool} options._testing - true if testing.  sentences will be
    *                                  ignored
    */
@@ -260,67 +527,315 @@
     var opts = options || {};
     self.settings = {
       containerId: opts.containerId || "sub",
+      container: opts.container || null,
       namespace: opts.namespace || "sub",
       interval: opts.interval || 5000,
       speed: opts.speed || 200,
+      easing: opts.easing || "linear",
+      durations: opts.durations || {},
+      stagger: opts.stagger || 0,
       mobileWidth: opts.mobileWidth || null,
+      readingSpeed: opts.readingSpeed || 200,
       verbose: (opts.verbose !== undefined) ? opts.verbose : false,
       random: (opts.random !== undefined) ? opts.random : false,
       best: (opts.best !== undefined) ? opts.best : true,
+      plan: opts.plan || null,
       clearOriginalContent: (opts.clearOriginalContent !== undefined) ? opts.clearOriginalContent : true,
+      granularity: opts.granularity || "word",
+      tokenizer: opts.tokenizer || "default",
+      markup: opts.markup || "text",
+      direction: opts.direction || "auto",
+      layout: opts.layout || "line",
+      ariaLive: opts.ariaLive || "off",
+      effect: opts.effect || "fade",
+      driver: opts.driver || "auto",
+      reducedMotion: (opts.reducedMotion !== undefined) ? opts.reducedMotion : "auto",
+      pauseOnHover: (opts.pauseOnHover !== undefined) ? opts.pauseOnHover : false,
+      pauseOnFocus: (opts.pauseOnFocus !== undefined) ? opts.pauseOnFocus : false,
+      pauseOnHidden: (opts.pauseOnHidden !== undefined) ? opts.pauseOnHidden : true,
+      pauseOnOffscreen: (opts.pauseOnOffscreen !== undefined) ? opts.pauseOnOffscreen : false,
       _testing: (opts._testing !== undefined) ? opts._testing : false,
     };
-    self.wrapper = document.getElementById(self.settings.containerId);
+    // Each phase of a word's change that isn't given a duration takes `speed`
+    var durations = self.settings.durations;
+    var speed = self.settings.speed;
+    self.settings.durations = {
+      hide: (durations.hide !== undefined) ? durations.hide : speed,
+      resize: (durations.resize !== undefined) ? durations.resize : speed,
+      show: (durations.show !== undefined) ? durations.show : speed
+    };
+    self.wrapper = _findContainer(self.settings.container, self.settings.containerId);
+    self.root = _styleRoot(self.wrapper);
     var wrapperStyle = window.getComputedStyle(self.wrapper);
+    self.direction = self.settings.direction;
+    if (self.direction === "auto") {
+      self.direction = (wrapperStyle.direction === "rtl") ? "rtl" : "ltr";
+    }
+    if (self.direction !== "ltr" && self.direction !== "rtl") {
+      throw "Unknown direction: " + self.direction;
+    }
+    if (["off", "polite", "assertive"].indexOf(self.settings.ariaLive) === -1) {
+      throw "Unknown ariaLive: " + self.settings.ariaLive;
+    }
+    _checkInterval(self.settings.interval);
+    ["sub", "insert", "remove"].forEach(function(type) {
+      self._effectFor(type);
+    });
+    self.driver = _findDriver(self.settings.driver);
+    // Words are the height of the container, or of one line when wrapping
+    var wordHeight = wrapperStyle.height;
+    if (self.settings.layout === "wrap") {
+      wordHeight = _lineHeight(self.wrapper);
+    } else if (self.settings.layout !== "line") {
+      throw "Unknown layout: " + self.settings.layout;
+    }
 
-    _injectStyle(
+    _instanceCount++;
+    self.instanceClass = self.settings.namespace + "-instance-" + _instanceCount;
+    _addStyle(self.root, self.settings.namespace, self.instanceClass, _instanceStyle(
       self.settings.namespace,
+      self.instanceClass,
       self.settings.speed / 1000,
-      wrapperStyle.height,
-      wrapperStyle.fontFamily);
+      self.settings.easing,
+      wordHeight,
+      wrapperStyle.fontFamily));
+    if (self.root !== document) {
+      // @font-face is only loaded from the document, even for shadow roots
+      _addStyle(document, self.settings.namespace, self.instanceClass, "");
+    }
 
-    self.highestTimeoutId = 0;
+    self.loopTimer = null;
+    self.timers = [];
+    self.animations = [];
+    self.isPaused = false;
     self.currentState = null;
     self.actions = [];
-    self.invisibleClass = " ." + self.settings.namespace + "-invisible";
-    self.visibleClass = " ." + self.settings.namespace + "-visible";
-    self.fromClass = self.settings.namespace + "-from-idx-";
-    self.toClass = self.settings.namespace + "-to-idx-";
-    self.wrapperSelector = "#" + self.settings.namespace;
+    self.rawSentences = [];
+    self.sentences = [];
+    self.sentenceOptions = [];
+    self.sentenceClass = "";
+    self.currentSentence = [];
+    self.words = [];
     self.isEmpty = true;
+    self.handlers = {};
+    self.changeCount = 0;
+    self.loopCount = 0;
+    self.pauseReasons = {};
+    self.pauseListeners = [];
+    self.observer = null;
 
     self._setupContainer();
     if (!self.settings._testing) {
-      self._setSentences(self._parseSentences(rawSentences));
+      self.setSentences(rawSentences);
     }
     return self;
   }
 
   /**
-   * Parse the array of raw sentence strings into an array of arrays of words.
+   * Register a handler for one of the lifecycle events.  Handlers are called
+   * with the Sub instance as `this` and a single payload argument.
+   *
+   * Events:
+   *   "start" - run() was called.  payload: {}
+   *   "stop" - stop() was called.  payload: {}
+   *   "beforeChange" - an action is about to be applied.
+   *                    payload: { from, to, action, data }
+   *   "animationEnd" - a single word animation has finished.
+   *                    payload: { type, word, from, to, action }
+   *   "afterChange" - every word animation for an action has finished.
+   *                   payload: { from, to, action, data }
+   *   "loop" - a full cycle through self.actions has completed.
+   *            payload: { count, from, to, action, data }, where `count`
+   *            is the number of cycles completed so far
+   *   "pause" - pause() was called.  payload: {}
+   *   "resume" - resume() was called.  payload: {}
+   *
+   * `data` is the data of the sentence being changed to, if it has any.
+   *
+   * @param {string} name - the name of the event
+   * @param {function} handler - the function to call when the event fires
+   */
+  Sub.prototype.on = function(name, handler) {
+    var self = this;
+    if (typeof handler !== "function") {
+      throw "handler must be a function.";
+    }
+    (self.handlers[name] = self.handlers[name] || []).push(handler);
+    return self;
+  };
+
+  /**
+   * Remove a handler registered with on().  If no handler is passed, every
+   * handler for that event is removed.
+   *
+   * @param {string} name - the name of the event
+   * @param {function} handler - the handler to remove
+   */
+  Sub.prototype.off = function(name, handler) {
+    var self = this;
+    if (!self.handlers[name]) {
+      return self;
+    }
+    if (!handler) {
+      delete self.handlers[name];
+      return self;
+    }
+    self.handlers[name] = self.handlers[name].filter(function(h) {
+      return h !== handler;
+    });
+    return self;
+  };
+
+  /**
+   * Call every handler registered for the event `name` with `payload`.
+   *
+   * @param {string} name - the name of the event
+   * @param {Object} payload - the argument to pass to each handler
+   */
+  Sub.prototype._emit = function(name, payload) {
+    var self = this;
+    if (self.settings.verbose) { console.log("_emit", name, payload); }
+    // Copy, so that handlers may call off() while we iterate.
+    (self.handlers[name] || []).slice().forEach(function(handler) {
+      handler.call(self, payload);
+    });
+  };
+
+  /**
+   * Replace every sentence, recomputing the order and the actions between
+   * them.  The next change will morph from whatever sentence is currently on
+   * screen.  This can be used to reorder sentences when `best` is false.
+   *
+   * @param {Array} rawSentences - the new array of sentences, as strings or
+   *                              objects (see Sub())
+   */
+  Sub.prototype.setSentences = function(rawSentences) {
+    var self = this;
+    var sentenceOptions = rawSentences.map(_sentenceOptions);
+    sentenceOptions.forEach(function(options) {
+      if (options.interval !== undefined) {
+        _checkInterval(options.interval);
+      }
+    });
+    self.sentences = self._parseSentences(rawSentences);
+    self.sentenceOptions = sentenceOptions;
+    self.rawSentences = rawSentences.slice();
+    self._setSentences(self.sentences.slice());
+    // Start the cycle afresh, so that "loop" fires after a full cycle
+    // through the new actions.
+    self.changeCount = 0;
+
+    // Rotate the actions, so that the next one starts from the sentence on
+    // screen.  If that sentence is gone, _sentenceLoop will bridge to the
+    // next one instead.
+    for (var i = 0; i < self.actions.length; i++) {
+      if (_sameSentence(self.actions[0].from, self.currentSentence)) {
+        break;
+      }
+      self.actions.push(self.actions.shift());
+    }
+    return self;
+  };
+
+  /**
+   * Add a sentence to the rotation.
+   *
+   * @param {string|Object} rawSentence - the sentence to add
+   * @param {int} index - where to add the sentence.  default: at the end
+   */
+  Sub.prototype.addSentence = function(rawSentence, index) {
+    var self = this;
+    var rawSentences = self.rawSentences.slice();
+    if (index === undefined) {
+      index = rawSentences.length;
+    }
+    rawSentences.splice(index, 0, rawSentence);
+    return self.setSentences(rawSentences);
+  };
+
+  /**
+   * Remove a sentence from the rotation.
+   *
+   * @param {int|string} indexOrText - the index of the sentence to remove, or
+   *                                   its text
+   */
+  Sub.prototype.removeSentence = function(indexOrText) {
+    var self = this;
+    var rawSentences = self.rawSentences.slice();
+    var index = (typeof indexOrText === "string") ?
+      _indexOfText(rawSentences, indexOrText) : indexOrText;
+    if (index < 0 || index >= rawSentences.length) {
+      throw "Cannot find sentence: " + indexOrText;
+    }
+    rawSentences.splice(index, 1);
+    return self.setSentences(rawSentences);
+  };
+
+  /**
+   * Parse the array of raw sentences into an array of arrays of words, with
+   * the granularity, tokenizer and markup settings.
    *
-   * @param {string[]} rawSentences the sentences to parse
-   * @returns {string[][]} sentences the
+   * @param {Array} rawSentences the sentences to parse, as strings or objects
+   * @returns {Object[][]} sentences the parsed sentences
    */
   Sub.prototype._parseSentences = function(rawSentences) {
-    if (!rawSentences || typeof rawSentences !== "object") {
-      throw "rawSentences must be an array of strings.";
+    var self = this;
+    return core.parseSentences(rawSentences, {
+      granularity: self.settings.granularity,
+      tokenizer: self.settings.tokenizer,
+      markup: self.settings.markup
+    });
+  };
+
+  /**
+   * Get the function that splits a sentence into words, as chosen by the
+   * tokenizer setting.
+   *
+   * @returns {function} parser - takes a raw sentence and returns tokens
+   */
+  Sub.prototype._wordParser = function() {
+    var self = this;
+    return core.wordParser(self.settings.tokenizer);
+  };
+
+  /**
+   * Render a token into `elem`, followed by a non-breaking space if there is
+   * a space after it.  Text is always inserted as text, so that sentences can
+   * never inject HTML.  Rich tokens are wrapped in the tags sanitized by
+   * parseMarkup in the core.
+   *
+   * @param {HTMLElement} elem - the element to render into
+   * @param {Object} token - the token to render, or null to empty `elem`
+   */
+  Sub.prototype._renderToken = function(elem, token) {
+    var self = this;
+    if (!token) {
+      elem.textContent = "";
+      return;
+    }
+    var space = token.spaceAfter ? "\u00a0" : "";
+    if (self.settings.markup === "rich") {
+      elem.innerHTML = (token.open || "") + _escapeHTML(token.text) +
+                       (token.close || "") + space;
+    } else {
+      elem.textContent = token.text + space;
     }
-    return rawSentences.map(_parseSentence);
   };
 
   /**
-   * Find the container for the sentences, empty out any HTML that might be
+   * Set up the container for the sentences: empty out any HTML that might be
    * inside, and then give it the namespace class.  It will be the root element
    * for any changes we might make.
    */
   Sub.prototype._setupContainer = function() {
     var self = this;
-    var container = document.getElementById(self.settings.containerId);
-    if (!container) {
-      throw "Cannot find element with id:" + self.settings.containerId;
-    }
+    var container = self.wrapper;
     var originalStyle = window.getComputedStyle(container);
+    self.original = {
+      className: container.className,
+      height: container.style.height,
+      width: container.style.width
+    };
     container.style.height = originalStyle.height;
     if (self.settings.clearOriginalContent) {
       container.innerHTML = '';
@@ -328,7 +843,35 @@
       container.style.width = originalStyle.width;
       container.innerHTML = '<span class="' + self.settings.namespace + '-old-content">' + container.innerHTML.replace(' ', '&nbsp;') + '</span>';
     }
-    container.className = self.settings.namespace;
+    container.className = self.settings.namespace + " " + self.instanceClass;
+    if (self.direction === "rtl") {
+      container.className += " " + self.settings.namespace + "-rtl";
+    }
+    if (self.settings.layout === "wrap") {
+      container.className += " " + self.settings.namespace + "-wrap";
+    }
+
+    // The words are hidden from screen readers, which read this instead
+    self.liveRegion = document.createElement("span");
+    self.liveRegion.className = self.settings.namespace + "-live";
+    self.liveRegion.setAttribute("aria-live", self.settings.ariaLive);
+    self.liveRegion.setAttribute("aria-atomic", "true");
+    container.appendChild(self.liveRegion);
+  };
+
+  /**
+   * Check whether sentences should be swapped with a fade, rather than by
+   * moving words around.
+   *
+   * @returns {bool} reduced - true if motion should be reduced
+   */
+  Sub.prototype._reducedMotion = function() {
+    var self = this;
+    if (self.settings.reducedMotion !== "auto") {
+      return Boolean(self.settings.reducedMotion);
+    }
+    return Boolean(window.matchMedia &&
+                   window.matchMedia("(prefers-reduced-motion: reduce)").matches);
   };
 
   Sub.prototype._getOnResize = function() {
@@ -337,6 +880,11 @@
     var onResize = function(e) {
       self.lastWindowWidth = window.innerWidth;
 
+      // Lines wrap differently at different widths
+      if (self.settings.layout === "wrap" && !self.isEmpty) {
+        self.wrapper.style.height = self._measureHeight(self.currentSentence) + "px";
+      }
+
       // Disable on small screens, if that parameter is provided.
       if (self.settings.mobileWidth !== null) {
         if (!self.isStopped && self.lastWindowWidth < self.settings.mobileWidth) {
@@ -371,22 +919,72 @@
       return;
     }
 
-    if (self.isEmpty) {
-      self.isEmpty = false;
+    if (self.isEmpty && self.actions.length > 0) {
       var action = self._computeActionsToChange([], self.actions[0].from);
       if (!action) {
         console.log(action);
         throw "returned null action";
       }
-      self._applyAction(action);
+      self._applyAction(action, false);
     }
-    self.highestTimeoutId = setTimeout(function() {
-      self.wrapper.className += ' ' + self.settings.namespace + '-loaded';
-      self.wrapper.style.height = '';
+    self.loopTimer = self._setTimeout(function() {
+      self._markLoaded();
       self._sentenceLoop();
-    }, self.settings.interval);
+    }, self._intervalFor(self.currentSentence));
   }
 
+  /**
+   * Hide the original content and show the words, if we haven't already.
+   */
+  Sub.prototype._markLoaded = function() {
+    var self = this;
+    var loadedClass = self.settings.namespace + "-loaded";
+    if ((" " + self.wrapper.className + " ").indexOf(" " + loadedClass + " ") === -1) {
+      self.wrapper.className += " " + loadedClass;
+      // When wrapping, the height is fitted to each sentence instead
+      if (self.settings.layout !== "wrap") {
+        self.wrapper.style.height = "";
+      }
+    }
+  };
+
+  /**
+   * Find the height the wrapper needs to fit a sentence onto as many lines as
+   * it wraps onto, by laying the sentence out in a hidden copy of the
+   * wrapper.
+   *
+   * @param {Object[]} sentence - the sentence to fit
+   *
+   * @returns {number} height - the CSS height of the wrapper, in pixels
+   */
+  Sub.prototype._measureHeight = function(sentence) {
+    var self = this;
+    var namespace = self.settings.namespace;
+    var style = window.getComputedStyle(self.wrapper);
+    var padding = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+    var measure = document.createElement(self.wrapper.tagName);
+    measure.className = self.wrapper.className + " " + namespace + "-height-calculation";
+    measure.style.width = (self.wrapper.clientWidth - (padding || 0)) + "px";
+    self._visualOrder(sentence).forEach(function(index) {
+      var word = document.createElement("div");
+      var text = document.createElement("span");
+      word.className = namespace + "-word";
+      text.className = namespace + "-invisible";
+      self._renderToken(text, sentence[index]);
+      word.appendChild(text);
+      measure.appendChild(word);
+    });
+    (self.wrapper.parentNode || document.body).appendChild(measure);
+    var height = measure.offsetHeight;
+    measure.parentNode.removeChild(measure);
+
+    if (style.boxSizing === "border-box") {
+      height += self.wrapper.offsetHeight - self.wrapper.clientHeight +
+                parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+    }
+    return height;
+  };
+
   /**
    * Run the sentence loop and add resize handlers. If we haven't successfully
    * populated self.actions, we delay the running until we have.
@@ -398,388 +996,788 @@
     window.addEventListener('resize', self.onResize, false);
     window.addEventListener('orientationchange', self.onResize, false);
 
+    self._emit("start", {});
+    self._addPauseListeners();
     self._run();
 
     return self;
   };
 
   /**
-   * Stop the sentence loop. This will stop all animations.
+   * Stop the sentence loop. This will stop all animations, jumping any word
+   * that is mid-transition to its final state so that the DOM is left
+   * showing a complete sentence.
    *
    * This function should only be called internally.
    */
   Sub.prototype._stop = function() {
     var self = this;
+    var timers = self.timers;
+
+    // The listeners behind these reasons stay attached until stop(), so the
+    // reasons still hold if the loop is started again with _run
+    var pauseReasons = {};
+    ["hover", "focus", "hidden", "offscreen"].forEach(function(reason) {
+      if (self.pauseReasons[reason]) {
+        pauseReasons[reason] = true;
+      }
+    });
+    self.pauseReasons = pauseReasons;
+    self.isPaused = Object.keys(pauseReasons).length > 0;
+    self.timers = [];
+    self.loopTimer = null;
+    timers.forEach(function(timer) {
+      clearTimeout(timer.id);
+    });
 
-    clearTimeout(self.highestTimeoutId);
-  }
+    // Run anything that is part of a transition (pending insertions) now,
+    // rather than dropping it, so the sentence ends up complete.
+    timers.forEach(function(timer) {
+      if (timer.flush) {
+        timer.fn();
+      }
+    });
+    self.animations.slice().forEach(function(animation) {
+      animation.finish();
+    });
+  };
 
   /**
-   * Stop the sentence loop. This will stop all animations and remove event
-   * listeners.
+   * Freeze the sentence loop and any words that are mid-transition.  Call
+   * resume() to continue from where they were left.
    */
-  Sub.prototype.stop = function() {
+  Sub.prototype.pause = function() {
     var self = this;
+    return self._pauseFor("manual");
+  };
 
-    window.removeEventListener('resize', self.onResize, false);
-    window.removeEventListener('orientationchange', self.onResize, false);
-
-    self._stop();
+  /**
+   * Continue the sentence loop and any transitions frozen by pause().  If
+   * the loop is also paused for another reason (e.g. the pointer is over
+   * it), it continues once that reason has gone too.
+   */
+  Sub.prototype.resume = function() {
+    var self = this;
+    return self._resumeFor("manual");
+  };
 
+  /**
+   * Pause for a reason, freezing everything if nothing else has already.
+   *
+   * @param {string} reason - one of "manual", "hover", "focus", "hidden", or
+   *                          "offscreen"
+   */
+  Sub.prototype._pauseFor = function(reason) {
+    var self = this;
+    self.pauseReasons[reason] = true;
+    if (self.isPaused) {
+      return self;
+    }
+    self.isPaused = true;
+    self.timers.forEach(function(timer) {
+      clearTimeout(timer.id);
+      timer.remaining = Math.max(0, timer.delay - (Date.now() - timer.start));
+    });
+    self.animations.forEach(function(animation) {
+      animation.pause();
+    });
+    self._emit("pause", { reason: reason });
     return self;
-  }
+  };
 
   /**
-   * Compute the actions required to transform `from` into `to`.
-   *
-   * Example:
-   *     from: ["The", "quick", "brown", "fox", "is", "very", "cool", ",", "supposedly", "."]
-   *       to: ["The", "brown", "color", "is", "very", "very", "pretty", ",", "no", "?"]
-   *   output:
-   *     {
-   *       from: ["The", "quick", "brown", "fox", "is", "very", "cool", ",", "supposedly", "."],
-   *       to: ["The", "brown", "color", "is", "very", "very", "pretty", ",", "no", "?"],
-   *       sub:[
-   *       { fromWord: "fox",        toWord: "color", fromIndex: 3, toIndex: 2 },
-   *       { fromWord: "cool",       toWord: "very",  fromIndex: 6, toIndex: 5 },
-   *       { fromWord: "supposedly", toWord: "no",    fromIndex: 8, toIndex: 8 },
-   *       { fromWord: ".",          toWord: "?",     fromIndex: 9, toIndex: 9 } ],
-   *       remove: [
-   *       { fromWord: "quick", fromIndex: 1 } ],
-   *       insert: [
-   *       { toWord: "pretty", toIndex: 6 } ],
-   *       keep: [
-   *       { fromWord: "The",   toWord: "The",   fromIndex: 0, toIndex: 0 },
-   *       { fromWord: "brown", toWord: "brown", fromIndex: 2, toIndex: 1 },
-   *       { fromWord: "is",    toWord: "is",    fromIndex: 4, toIndex: 3 },
-   *       { fromWord: "very",  toWord: "very",  fromIndex: 5, toIndex: 4 },
-   *       { fromWord: ",",     toWord: ",",     fromIndex: 7, toIndex: 7 } ],
-   *       cost: 6
-   *     }
-   *
-   * @param {string[]} from - the sentence to change from
-   * @param {string[]} to - the sentence to change to
+   * Remove a reason for pausing, and continue once there are none left.
    *
-   * @returns {object} actions - comamnds to perform
-   *   @returns {string[]} actions.from - the from sentence
-   *   @returns {string[]} actions.to - the to sentence
-   *   @returns {object[]} actions.sub - substitutions to do
-   *     @returns {string} actions.sub.fromWord - word to sub
-   *     @returns {string} actions.sub.toWord - word to sub with
-   *     @returns {int} actions.sub.fromIndex - index of word to sub
-   *     @returns {int} actions.sub.toIndex - index of word to sub with
-   *   @returns {object[]} actions.remove - removals to do
-   *     @returns {string} actions.remove.fromWord - word to remove
-   *     @returns {int} actions.remove.fromIndex - index of word to remove
-   *   @returns {object[]} actions.insert - insertions to do
-   *     @returns {string} actions.insert.toWord - word to insert
-   *     @returns {int} actions.insert.toIndex - index of word to insert
-   *   @returns {object[]} actions.keep - words to keep (no-ops)
-   *     @returns {string} actions.keep.fromWord - word to keep (from)
-   *     @returns {string} actions.keep.toWord - word to keep (to)
-   *     @returns {int} actions.keep.fromIndex - index in from of word to keep
-   *     @returns {int} actions.keep.toIndex - index in to of word to keep
-   *   @returns {int} actions.cost - total cost of action =
-   *                                 removals + substitutions + insertions
+   * @param {string} reason - the reason passed to _pauseFor
    */
-  Sub.prototype._computeActionsToChange = function(from, to) {
+  Sub.prototype._resumeFor = function(reason) {
     var self = this;
-    if (self.settings.verbose) { console.log("_computeActionsToChange: ", from, to); }
-    var actions = {
-      from: from,
-      to: to,
-      sub: [],
-      remove: [],
-      insert: [],
-      keep: [],
-      cost: 0
-    };
-
-    /**
-     * Recursively creates `actions`, given a start index for each sentence
-     *
-     * @param {int} fromIndex - index of first word to consider in from sentence
-     * @param {int} toIndex - index of first word to consider in to sentence
-     * @param {bool} lookAhead - true if we are looking ahead at other
-     *                           possible solutions.  Actions will not be
-     *                           modified.  false if actions should be modified.
-     * @returns {int} cost - the recursively built cost of actions to take.
-     */
-    var __computeActionsToCange = function(fromIndex, toIndex, lookAhead) {
-      var i;
-      lookAhead = lookAhead || false;
-
-      // End of from list
-      if (fromIndex >= from.length) {
-        if (!lookAhead) {
-          for (i = toIndex; i < to.length; i++) {
-            actions.insert.push({
-              toWord: to[i],
-              toIndex: i
-            });
-          }
-        }
-        // base case, each insert costs 1
-        return to.length - toIndex;
-      }
+    delete self.pauseReasons[reason];
+    if (!self.isPaused || Object.keys(self.pauseReasons).length > 0) {
+      return self;
+    }
+    self.isPaused = false;
+    self.timers.forEach(function(timer) {
+      self._startTimer(timer, timer.remaining);
+    });
+    self.animations.forEach(function(animation) {
+      animation.resume();
+    });
+    self._emit("resume", { reason: reason });
+    return self;
+  };
 
-      // End of to list
-      if (toIndex >= to.length) {
-        if (!lookAhead) {
-          for (i = fromIndex; i < from.length; i++) {
-            actions.remove.push({
-              fromWord: from[i],
-              fromIndex: i
-            });
-          }
-        }
-        // base case, each remove costs 1
-        return from.length - toIndex;
-      }
+  /**
+   * Start pausing automatically, as set by the pauseOn* settings.
+   */
+  Sub.prototype._addPauseListeners = function() {
+    var self = this;
+    var listen = function(target, type, handler) {
+      target.addEventListener(type, handler, false);
+      self.pauseListeners.push({ target: target, type: type, handler: handler });
+    };
+    self._removePauseListeners();
 
-      // Easy Case: a match!
-      if (from[fromIndex] === to[toIndex]) {
-        if (lookAhead) {
-          return 0;
+    if (self.settings.pauseOnHover) {
+      listen(self.wrapper, "mouseenter", function() { self._pauseFor("hover"); });
+      listen(self.wrapper, "mouseleave", function() { self._resumeFor("hover"); });
+    }
+    if (self.settings.pauseOnFocus) {
+      listen(self.wrapper, "focusin", function() { self._pauseFor("focus"); });
+      listen(self.wrapper, "focusout", function(e) {
+        if (!e.relatedTarget || !self.wrapper.contains(e.relatedTarget)) {
+          self._resumeFor("focus");
         }
-        actions.keep.push({
-          fromWord: from[fromIndex],
-          toWord: to[toIndex],
-          fromIndex: fromIndex,
-          toIndex: toIndex
-        });
-        // keep is free
-        return __computeActionsToCange(fromIndex + 1, toIndex + 1);
-      }
+      });
+    }
+    if (self.settings.pauseOnHidden && document.visibilityState !== undefined) {
+      var onVisibilityChange = function() {
+        if (document.visibilityState === "hidden") {
+          self._pauseFor("hidden");
+        } else {
+          self._resumeFor("hidden");
+        }
+      };
+      listen(document, "visibilitychange", onVisibilityChange);
+      onVisibilityChange();
+    }
+    if (self.settings.pauseOnOffscreen && window.IntersectionObserver) {
+      self.observer = new window.IntersectionObserver(function(entries) {
+        if (entries[entries.length - 1].isIntersecting) {
+          self._resumeFor("offscreen");
+        } else {
+          self._pauseFor("offscreen");
+        }
+      });
+      self.observer.observe(self.wrapper);
+    }
+  };
 
-      var foundIndex = from.indexOf(to[toIndex], fromIndex);
+  /**
+   * Stop pausing automatically.
+   */
+  Sub.prototype._removePauseListeners = function() {
+    var self = this;
+    self.pauseListeners.forEach(function(listener) {
+      listener.target.removeEventListener(listener.type, listener.handler, false);
+    });
+    self.pauseListeners = [];
+    if (self.observer) {
+      self.observer.disconnect();
+      self.observer = null;
+    }
+  };
 
-      if (lookAhead) {
-        return foundIndex;
-      }
+  /**
+   * Schedule `fn` to run after `delay` milliseconds.  The timer is tracked,
+   * so that pause(), resume() and stop() can act on it.
+   *
+   * @param {function} fn - the function to call
+   * @param {int} delay - number of milliseconds to wait
+   * @param {bool} flush - true if `fn` should be run immediately rather than
+   *                       dropped when the instance is stopped
+   *
+   * @returns {Object} timer - the timer, to pass to _clearTimeout
+   */
+  Sub.prototype._setTimeout = function(fn, delay, flush) {
+    var self = this;
+    var timer = {
+      id: null,
+      fn: fn,
+      delay: delay,
+      start: Date.now(),
+      remaining: delay,
+      flush: flush || false
+    };
+    self.timers.push(timer);
+    if (!self.isPaused) {
+      self._startTimer(timer, delay);
+    }
+    return timer;
+  };
 
-      if (fromIndex + 1 == from.length) {
-        // Can't look ahead, make a move now
-        if(foundIndex === -1) {
-          actions.sub.push({
-            fromWord: from[fromIndex],
-            toWord: to[toIndex],
-            fromIndex: fromIndex,
-            toIndex: toIndex
-          });
-          // Sub costs 1
-          return __computeActionsToCange(fromIndex + 1, toIndex + 1) + 1;
-        }
-      }
+  /**
+   * (Re)start the underlying setTimeout for a tracked timer.
+   *
+   * @param {Object} timer - the timer returned by _setTimeout
+   * @param {int} delay - number of milliseconds to wait
+   */
+  Sub.prototype._startTimer = function(timer, delay) {
+    var self = this;
+    timer.start = Date.now();
+    timer.delay = delay;
+    timer.id = setTimeout(function() {
+      self._clearTimeout(timer);
+      timer.fn();
+    }, delay);
+  };
 
-      var futureIndex = __computeActionsToCange(fromIndex, toIndex + 1, true);
+  /**
+   * Cancel a timer created with _setTimeout.
+   *
+   * @param {Object} timer - the timer returned by _setTimeout
+   */
+  Sub.prototype._clearTimeout = function(timer) {
+    var self = this;
+    if (!timer) {
+      return;
+    }
+    clearTimeout(timer.id);
+    var index = self.timers.indexOf(timer);
+    if (index !== -1) {
+      self.timers.splice(index, 1);
+    }
+  };
 
-      if (foundIndex === -1) {
-        if (futureIndex === 0) {
-          actions.insert.push({
-            toWord: to[toIndex],
-            toIndex: toIndex
-          });
-          // insert costs 1
-          return __computeActionsToCange(fromIndex, toIndex + 1) + 1;
-        }
-        actions.sub.push({
-          fromWord: from[fromIndex],
-          toWord: to[toIndex],
-          fromIndex: fromIndex,
-          toIndex: toIndex
-        });
-        // sub costs 1
-        return __computeActionsToCange(fromIndex + 1, toIndex + 1) + 1;
-      }
+  /**
+   * Stop the sentence loop. This will stop all animations and remove event
+   * listeners.
+   */
+  Sub.prototype.stop = function() {
+    var self = this;
 
-      if (foundIndex === fromIndex + 1 && futureIndex === fromIndex || foundIndex === futureIndex) {
-        var fromLeft = from.length - fromIndex;
-        var toLeft = to.length - toIndex;
-
-        if (fromLeft > toLeft) {
-          actions.insert.push({
-            toWord: to[toIndex],
-            toIndex: toIndex
-          });
-          // Insert costs 1
-          return __computeActionsToCange(fromIndex + 1, toIndex) + 1;
-        }
+    window.removeEventListener('resize', self.onResize, false);
+    window.removeEventListener('orientationchange', self.onResize, false);
+    self._removePauseListeners();
+    self.pauseReasons = {};
 
-        // toLeft >= fromLeft
-        actions.remove.push({
-          fromWord: from[fromIndex],
-          fromIndex: fromIndex
-        });
-        // remove costs 1
-        return __computeActionsToCange(fromIndex, toIndex + 1) + 1;
-      }
+    self._stop();
+    self._emit("stop", {});
 
-      if (foundIndex > futureIndex && futureIndex !== -1 ) {
-        actions.sub.push({
-          fromWord: from[fromIndex],
-          toWord: to[toIndex],
-          fromIndex: fromIndex,
-          toIndex: toIndex
-        });
-        // Sub costs 1
-        return __computeActionsToCange(fromIndex + 1, toIndex + 1) + 1;
-      }
+    return self;
+  }
 
-      // foundIndex < futureIndex
-      for (i = fromIndex; i < foundIndex; i++) {
-        actions.remove.push({
-          fromWord: from[i],
-          fromIndex: i
-        });
-      }
-      actions.keep.push({
-        fromWord: from[foundIndex],
-        toWord: to[toIndex],
-        fromIndex: foundIndex,
-        toIndex: toIndex
-      });
-      // Each remove costs 1, the keep is free
-      return __computeActionsToCange(foundIndex + 1, toIndex + 1) + (foundIndex - fromIndex);
-    };
+  /**
+   * Stop the sentence loop and remove everything that was added to the page.
+   * The container is left showing the current sentence as plain text, and
+   * the styles are removed once no other instance with the same namespace is
+   * using them.
+   */
+  Sub.prototype.destroy = function() {
+    var self = this;
+    self.stop();
+    self.wrapper.textContent = _sentenceText(self.currentSentence);
+    self.words = [];
+    self.wrapper.className = self.original.className;
+    self.wrapper.style.height = self.original.height;
+    self.wrapper.style.width = self.original.width;
+    _removeStyle(self.root, self.settings.namespace, self.instanceClass);
+    _removeStyle(document, self.settings.namespace, self.instanceClass);
+    self.handlers = {};
+    return self;
+  };
 
-    // Initalize the recursive call, the final result is the cost.
-    actions.cost = __computeActionsToCange(0, 0);
-    return actions;
+  /**
+   * Compute the cheapest actions required to transform `from` into `to`.
+   * See computeActions in substituteteacher-core.js.
+   *
+   * @param {Object[]} from - the sentence to change from
+   * @param {Object[]} to - the sentence to change to
+   *
+   * @returns {object} actions - comamnds to perform
+   */
+  Sub.prototype._computeActionsToChange = function(from, to) {
+    var self = this;
+    if (self.settings.verbose) { console.log("_computeActionsToChange: ", from, to); }
+    return core.computeActions(from, to);
   };
 
   /**
-   * Generate self.actions.  If self.settings.best is true, we order the
-   * actions to rotate between sentences with minimal insertions, removals, and
-   * changes.  If self.settings.random is true, the sentences will appear in a
-   * random order.  If both are set, the sequence will be optimal, but will
-   * start from a random position in the sequence.
+   * Generate self.actions, from the plan setting if it fits the sentences,
+   * and otherwise ordered by the best and random settings.  See planActions
+   * and loadPlan in substituteteacher-core.js.
    *
-   * @param {string[][]} sentences - sentences to be converted to actions
+   * @param {Object[][]} sentences - sentences to be converted to actions
    */
   Sub.prototype._setSentences = function(sentences) {
     var self = this;
-    var i, j, prevIndex;
-    if (sentences.length === 0) {
-      self.actions = [];
-    }
-
-    if (self.settings.best) {
-      /* Because who says the Traveling Salesman Problem isn't releveant? */
-
-      // compute a table of values table[fromIndex][toIndex] = {
-      //   fromIndex: fromIndex,
-      //   toIndex: toIndex,
-      //   action: the action from sentences[fromIndex] to sentences[toIndex]
-      // }
-      var table = sentences.map(function(from, fromIndex) {
-        return sentences.map(function(to, toIndex) {
-          if (fromIndex === toIndex) {
-            return {
-              action: { cost: Number.MAX_VALUE },
-              fromIndex: fromIndex,
-              toIndex: toIndex
-            };
-          }
-          var action = self._computeActionsToChange(sentences[fromIndex],
-                                                    sentences[toIndex]);
-          return {
-            action: action,
-            fromIndex: fromIndex,
-            toIndex: toIndex
-          };
-        });
-      });
-      var usedFromIndexes = [];
-      var from = 0;
-
-      // sort each rows by cost, then sort the rows by lowest cost in that row
-      table.sort(function(row1, row2) {
-        row1.sort(_sortAnnotatedAction);
-        row2.sort(_sortAnnotatedAction);
-        return row1[0].cost - row2[0].cost;
-      });
-
-      var first = table[0][0].fromIndex;
-
-      // Start with table[0][0], the lowest cost action.  Then, find the lowest
-      // cost actions starting from table[0][0].toIndex, and so forth.
-      for (i = 0; i < sentences.length; i++) {
-        for (j = 0; j < sentences.length; j++) {
-          if ((i === sentences.length - 1 && table[from][j].toIndex === first) ||
-            (i !== sentences.length - 1 && usedFromIndexes.indexOf(table[from][j].toIndex) === -1)) {
-            self.actions.push(table[from][j].action);
-            usedFromIndexes.push(from);
-            from = table[from][j].toIndex;
-            break;
-          }
-        }
+    if (self.settings.plan) {
+      var actions = core.loadPlan(self.settings.plan, sentences);
+      if (actions) {
+        self.actions = actions;
+        return;
       }
+      if (self.settings.verbose) { console.log("_setSentences: the plan does not fit the sentences"); }
+    }
+    self.actions = core.planActions(sentences, {
+      best: self.settings.best,
+      random: self.settings.random
+    });
+  };
 
-      if(self.settings.random) {
-        // start from somewhere other than the beginning.
-        var start = Math.floor(Math.random() * (sentences.length));
-        for (i = 0; i < start; i++) {
-          self.actions.push(self.actions.shift());
-        }
-      }
+  /**
+   * Compute how one sentence changes into another, without a Sub.
+   *
+   * @param {string|Object} fromText - the sentence to change from
+   * @param {string|Object} toText - the sentence to change to
+   * @param {Object} options - the granularity, tokenizer and markup options
+   *
+   * @returns {Object} actions - the tokens of both sentences, and the sub,
+   *                             insert, remove, keep and move actions
+   */
+  Sub.diff = function(fromText, toText, options) {
+    return core.diff(fromText, toText, options);
+  };
 
-    } else {
+  /**
+   * Plan the rotation between sentences that a Sub with the same options
+   * would use, without a Sub.
+   *
+   * @param {Array} sentences - the sentences, as strings or objects
+   * @param {Object} options - the granularity, tokenizer, markup, best and
+   *                           random options
+   *
+   * @returns {Object} plan - the parsed sentences, the order they are shown
+   *                          in, the actions that show each one, and the
+   *                          total cost
+   */
+  Sub.plan = function(sentences, options) {
+    return core.plan(sentences, options);
+  };
 
-      if (self.settings.random) {
-        // shuffle the sentences
-        sentences.sort(function() { return 0.5 - Math.random(); });
+  /**
+   * Turn a plan made by Sub.plan into plain data, which can be saved as JSON
+   * and given to a Sub as the plan option.
+   *
+   * @param {Object} plan - the plan, as returned by Sub.plan
+   *
+   * @returns {Object} serialized - the order of the sentences, and the
+   *                                actions between them
+   */
+  Sub.serializePlan = function(plan) {
+    return core.serializePlan(plan);
+  };
+
+  /**
+   * Change to the next sentence in the rotation, and restart the interval.
+   */
+  Sub.prototype.next = function() {
+    var self = this;
+    if (self.actions.length === 0) {
+      return self;
+    }
+    var nextAction = self.actions.shift();
+    self.actions.push(nextAction);
+    self.changeCount++;
+    self._navigate(nextAction);
+    return self;
+  };
+
+  /**
+   * Change to the previous sentence in the rotation, and restart the
+   * interval.
+   */
+  Sub.prototype.prev = function() {
+    var self = this;
+    if (self.actions.length === 0) {
+      return self;
+    }
+    var prevAction = self.actions[self.actions.length - 1];
+    self.actions.unshift(self.actions.pop());
+    self.changeCount = Math.max(0, self.changeCount - 1);
+    self._navigate(self._computeActionsToChange(self.currentSentence,
+                                                prevAction.from));
+    return self;
+  };
+
+  /**
+   * Change to the given sentence, and restart the interval.  The rotation
+   * continues on from that sentence.
+   *
+   * @param {int|string} indexOrText - the index of the sentence to show, or
+   *                                   its text
+   */
+  Sub.prototype.goTo = function(indexOrText) {
+    var self = this;
+    var index = (typeof indexOrText === "string") ?
+      _indexOfText(self.rawSentences, indexOrText) : indexOrText;
+    if (index < 0 || index >= self.sentences.length) {
+      throw "Cannot find sentence: " + indexOrText;
+    }
+    var target = self.sentences[index];
+    for (var i = 0; i < self.actions.length; i++) {
+      if (_sameSentence(self.actions[0].from, target)) {
+        break;
       }
+      self.actions.push(self.actions.shift());
+    }
+    self._navigate(self._computeActionsToChange(self.currentSentence, target));
+    return self;
+  };
+
+  /**
+   * Find the sentence that is currently on screen (or being transitioned
+   * to).
+   *
+   * @returns {Object} current - null if no sentence is being shown
+   *   @returns {int} current.index - the index of the sentence
+   *   @returns {string} current.text - the sentence
+   */
+  Sub.prototype.current = function() {
+    var self = this;
+    var index = self._indexOfSentence(self.currentSentence);
+    if (index === -1) {
+      return null;
+    }
+    return { index: index, text: self.sentenceOptions[index].text };
+  };
 
-      for (i = 0; i < sentences.length; i++) {
-        prevIndex = (i === 0) ? (sentences.length - 1) : i - 1;
-        self.actions.push(self._computeActionsToChange(sentences[prevIndex],
-                                                       sentences[i]));
+  /**
+   * Find a parsed sentence among self.sentences.
+   *
+   * @param {Object[]} sentence - the sentence to look for
+   *
+   * @returns {int} index - the index of the sentence, or -1
+   */
+  Sub.prototype._indexOfSentence = function(sentence) {
+    var self = this;
+    for (var i = 0; i < self.sentences.length; i++) {
+      if (_sameSentence(self.sentences[i], sentence)) {
+        return i;
       }
     }
+    return -1;
+  };
+
+  /**
+   * The options a parsed sentence was given, if it was given as an object.
+   *
+   * @param {Object[]} sentence - the sentence
+   *
+   * @returns {Object} options - `text`, and any `interval`, `className` and
+   *                             `data`.  Empty if the sentence is not in
+   *                             the rotation
+   */
+  Sub.prototype._optionsFor = function(sentence) {
+    var self = this;
+    var index = self._indexOfSentence(sentence);
+    return (index === -1) ? {} : self.sentenceOptions[index];
+  };
+
+  /**
+   * How long to show a sentence for.  "auto" allows a second to notice the
+   * change, plus the time to read the sentence at settings.readingSpeed.
+   *
+   * @param {Object[]} sentence - the sentence on screen
+   *
+   * @returns {int} interval - the number of milliseconds to show it for
+   */
+  Sub.prototype._intervalFor = function(sentence) {
+    var self = this;
+    var interval = self._optionsFor(sentence).interval;
+    if (interval === undefined) {
+      interval = self.settings.interval;
+    }
+    if (interval === "auto") {
+      var words = _sentenceText(sentence).length / 5;
+      return 1000 + Math.round(words / self.settings.readingSpeed * 60000);
+    }
+    return interval;
+  };
+
+  /**
+   * Apply an action requested through next(), prev() or goTo(), and restart
+   * the interval if the sentence loop is running.
+   *
+   * @param {Object} action - the action to apply
+   */
+  Sub.prototype._navigate = function(action) {
+    var self = this;
+    self._markLoaded();
+    self._changeTo(action, false);
+    if (self.loopTimer) {
+      self._clearTimeout(self.loopTimer);
+      self.loopTimer = self._setTimeout(function() {
+        self._sentenceLoop();
+      }, self._intervalFor(self.currentSentence));
+    }
+  };
+
+  /**
+   * Apply `action`.  If the sentence on screen is not the one the action
+   * starts from (the sentences changed, or the user navigated), we bridge
+   * from what is on screen to where the action is headed instead.
+   *
+   * @param {Object} action - the action to apply
+   * @param {bool} completesLoop - true if this action is the last one in a
+   *                               full cycle through self.actions
+   */
+  Sub.prototype._changeTo = function(action, completesLoop) {
+    var self = this;
+    if (!_sameSentence(action.from, self.currentSentence)) {
+      action = self._computeActionsToChange(self.currentSentence, action.to);
+    }
+    self._applyAction(action, completesLoop);
   };
 
   /**
    * Called in an infinite setTimeout loop.  Dequeues an action, performs it,
    * and enqueues it onto the end of the self.actions array.
-   * Then calls setTimeout on itself, with self.settings.interval.
+   * Then calls setTimeout on itself, with the interval of the new sentence.
    */
   Sub.prototype._sentenceLoop = function() {
     var self = this;
-    var nextAction = self.actions.shift();
-    if (!nextAction) {
-      console.log(nextAction, self.actions);
-      throw "returned null action";
+    // With no sentences, there is nothing to do until some are added.
+    if (self.actions.length > 0) {
+      var nextAction = self.actions.shift();
+      self.actions.push(nextAction);
+      // changeCount counts the changes made since the last loop, including
+      // those made by next(), so it may run past the length of a cycle.
+      self.changeCount++;
+      var completesLoop = self.changeCount >= self.actions.length;
+      if (completesLoop) {
+        self.changeCount = 0;
+        self.loopCount++;
+      }
+      self._changeTo(nextAction, completesLoop);
     }
-    self._applyAction(nextAction);
-    self.actions.push(nextAction);
-    clearTimeout(self.highestTimeoutId);
-    self.highestTimeoutId = setTimeout(function() {
+    self._clearTimeout(self.loopTimer);
+    self.loopTimer = self._setTimeout(function() {
       self._sentenceLoop();
-    }, self.settings.interval);
+    }, self._intervalFor(self.currentSentence));
   };
 
   /**
    * Apply `action`, by performing the necessary substitutions, removals, keeps,
    * and insertions.
+   *
+   * @param {Object} action - the action to apply
+   * @param {bool} completesLoop - true if this action is the last one in a
+   *                               full cycle through self.actions
    */
-  Sub.prototype._applyAction = function(action) {
+  Sub.prototype._applyAction = function(action, completesLoop) {
     var self = this;
-    var words = document.getElementsByClassName(self.settings.namespace + '-word');
-    [].forEach.call(words, function(elem) {
-      if (self.settings.verbose) { console.log('replacing to- with from- for:', elem)}
-      elem.className = elem.className.replace(self.toClass, self.fromClass);
+    // Words are found by where they were in the sentence on screen, so that
+    // sentence has to be finished
+    self._finishAnimations();
+    var change = {
+      action: action,
+      completesLoop: completesLoop,
+      fromWords: self.words,
+      pending: action.sub.length + action.remove.length +
+               action.keep.length + action.insert.length + action.move.length
+    };
+    self.words = [];
+    self.currentSentence = action.to;
+    self.isEmpty = false;
+    change.options = self._optionsFor(action.to);
+    self._setSentenceClass(change.options.className || "");
+    self._emit("beforeChange", {
+      from: action.from,
+      to: action.to,
+      action: action,
+      data: change.options.data
     });
-    action.sub.map(function(subAction) {
-      self._subAction(subAction);
+    self.liveRegion.textContent = _sentenceText(action.to);
+    if (self.settings.layout === "wrap") {
+      // Grow before the words change, so there is room for them, and shrink
+      // once they have finished
+      change.height = self._measureHeight(action.to);
+      if (change.height > parseFloat(window.getComputedStyle(self.wrapper).height)) {
+        self.wrapper.style.height = change.height + "px";
+      }
+    }
+    if (self._reducedMotion()) {
+      self._fadeSentence(action, change);
+    } else {
+      // Inserted words carry on from the subbed and removed ones
+      var leaving = action.sub.concat(action.remove);
+      change.fromDelays = self._staggerDelays(action.from, leaving, "fromIndex");
+      change.toDelays = self._staggerDelays(action.to, action.insert, "toIndex",
+        leaving.length);
+      action.sub.map(function(subAction) {
+        self._subAction(subAction, change);
+      });
+      action.remove.map(function(removeAction) {
+        self._removeAction(removeAction, change);
+      });
+      action.keep.map(function(keepAction) {
+        self._keepAction(keepAction, change);
+      });
+      self._performInsertions(action.insert, action.move, change);
+    }
+    if (change.pending === 0) {
+      self._changeEnd(change);
+    }
+  };
+
+  /**
+   * Find how long each changed word waits before it starts animating, so
+   * that they start one after another in the order they are seen.
+   *
+   * @param {Object[]} sentence - the sentence the words are in
+   * @param {Object[]} changes - the actions changing the words
+   * @param {string} key - the key of each action holding its word's index
+   * @param {int} start - how many words of the same action start before
+   *                      these.  default: 0
+   *
+   * @returns {Object} delays - the number of milliseconds to wait, by index
+   */
+  Sub.prototype._staggerDelays = function(sentence, changes, key, start) {
+    var self = this;
+    var indices = changes.map(function(change) {
+      return change[key];
+    });
+    var delays = {};
+    var position = start || 0;
+    self._visualOrder(sentence).forEach(function(index) {
+      if (indices.indexOf(index) !== -1) {
+        delays[index] = self.settings.stagger * position++;
+      }
+    });
+    return delays;
+  };
+
+  /**
+   * Swap the class added to the container for the sentence on screen.
+   *
+   * @param {string} className - the classes of the new sentence, or ""
+   */
+  Sub.prototype._setSentenceClass = function(className) {
+    var self = this;
+    var old = self.sentenceClass.split(" ");
+    var classes = self.wrapper.className.split(" ").filter(function(c) {
+      return c && old.indexOf(c) === -1;
+    });
+    if (className) {
+      classes.push(className);
+    }
+    self.wrapper.className = classes.join(" ");
+    self.sentenceClass = className;
+  };
+
+  /**
+   * Bring every word to rest straight away: run any insertions that are
+   * waiting, and finish every animation.
+   */
+  Sub.prototype._finishAnimations = function() {
+    var self = this;
+    self.timers.slice().forEach(function(timer) {
+      if (timer.flush) {
+        self._clearTimeout(timer);
+        timer.fn();
+      }
+    });
+    self.animations.slice().forEach(function(animation) {
+      animation.finish();
+    });
+  };
+
+  /**
+   * Called by each Animation when its last step has run.  Fires
+   * "animationEnd", and once every animation in the change has finished,
+   * fires "afterChange" (and "loop" if the change completed a cycle).
+   *
+   * @param {Animation} animation - the animation that just finished
+   */
+  Sub.prototype._animationEnd = function(animation) {
+    var self = this;
+    var change = animation.ctx.change;
+    self._emit("animationEnd", {
+      type: animation.type,
+      word: animation.ctx.word,
+      from: change.action.from,
+      to: change.action.to,
+      action: change.action
+    });
+    change.pending--;
+    if (change.pending === 0) {
+      self._changeEnd(change);
+    }
+  };
+
+  /**
+   * Fire the events associated with a fully applied change.
+   *
+   * @param {Object} change - the change that has finished
+   * @param {Object} change.action - the action that was applied
+   * @param {bool} change.completesLoop - true if "loop" should fire as well
+   */
+  Sub.prototype._changeEnd = function(change) {
+    var self = this;
+    var action = change.action;
+    // Words that finish without animating end the change before
+    // _applyAction has looked at it
+    if (change.ended) {
+      return;
+    }
+    change.ended = true;
+    if (change.height !== undefined) {
+      self.wrapper.style.height = change.height + "px";
+    }
+    if (action.to === self.currentSentence && self.animations.length === 0) {
+      self._reconcile(action.to);
+    }
+    self._emit("afterChange", {
+      from: action.from,
+      to: action.to,
+      action: action,
+      data: change.options.data
+    });
+    if (change.completesLoop) {
+      self._emit("loop", {
+        count: self.loopCount,
+        from: action.from,
+        to: action.to,
+        action: action,
+        data: change.options.data
+      });
+    }
+  };
+
+  /**
+   * Check that the words on screen show `sentence`, and repair them if they
+   * don't.  Words showing the wrong text are rendered again, and if any word
+   * is missing, extra or out of place, every word is rebuilt.
+   *
+   * @param {Object[]} sentence - the sentence that should be on screen
+   *
+   * @returns {bool} repaired - true if anything needed repairing
+   */
+  Sub.prototype._reconcile = function(sentence) {
+    var self = this;
+    var expected = self._visualOrder(sentence).map(function(index) {
+      return self.words[index] ? self.words[index].elem : null;
     });
-    action.remove.map(function(removeAction) {
-      self._removeAction(removeAction);
+    var actual = [].filter.call(self.wrapper.children, function(elem) {
+      return (" " + elem.className + " ").indexOf(" " + self.settings.namespace + "-word ") !== -1;
     });
-    action.keep.map(function(keepAction) {
-      self._keepAction(keepAction);
+    var intact = self.words.length === sentence.length &&
+                 actual.length === expected.length &&
+                 expected.every(function(elem, i) {
+                   return elem === actual[i];
+                 });
+    if (!intact) {
+      if (self.settings.verbose) { console.log("_reconcile rebuilding", sentence); }
+      actual.forEach(function(elem) {
+        self.wrapper.removeChild(elem);
+      });
+      self.words = [];
+      self._visualOrder(sentence).forEach(function(index) {
+        self.words[index] = self._createWord();
+        self.wrapper.appendChild(self.words[index].elem);
+      });
+    }
+
+    var scratch = document.createElement("span");
+    var repaired = !intact;
+    sentence.forEach(function(token, index) {
+      var word = self.words[index];
+      self._renderToken(scratch, token);
+      if (!intact || word.visible.textContent !== scratch.textContent ||
+          word.invisible.textContent !== scratch.textContent ||
+          word.visible.style.opacity !== "1") {
+        if (self.settings.verbose) { console.log("_reconcile repairing", token); }
+        self._renderToken(word.visible, token);
+        self._renderToken(word.invisible, token);
+        word.visible.className = self.settings.namespace + "-visible";
+        word.invisible.className = self.settings.namespace + "-invisible";
+        word.visible.style.cssText = "opacity: 1";
+        word.invisible.style.cssText = "width: auto";
+        repaired = true;
+      }
     });
-    self._performInsertions(action.insert);
+    return repaired;
   };
 
   /**
@@ -787,103 +1785,597 @@
    *
    * @param {Object} removeAction - the removal to perform
    * @param {int} removeAction.fromIndex - the index of the existing word
+   * @param {Object} change - the change this removal is a part of
    */
-  Sub.prototype._removeAction = function(removeAction) {
+  Sub.prototype._removeAction = function(removeAction, change) {
     var self = this;
-    var fromIndexClass = self.fromClass + removeAction.fromIndex;
+    var word = change.fromWords[removeAction.fromIndex];
     var animationContext = {
-      fromIndexClass: fromIndexClass,
-      word: document.querySelector(self.wrapperSelector + " ." + fromIndexClass),
-      visible: document.querySelector(self.wrapperSelector + " ." + fromIndexClass + self.visibleClass),
-      invisible: document.querySelector(self.wrapperSelector + " ." + fromIndexClass + self.invisibleClass),
-      newText: "" // We'll animate to zero width
+      word: word.elem,
+      visible: word.visible,
+      invisible: word.invisible,
+      newText: null, // We'll animate to zero width
+      delay: change.fromDelays[removeAction.fromIndex],
+      change: change
     };
     if (self.settings.verbose) { console.log("remove", animationContext); }
     new Animation("remove", self, animationContext);
   };
 
   /**
-   * Perform the given insertions
+   * Perform the given insertions and moves.  Each word is placed after the
+   * word that comes before it in the new sentence, so they are performed in
+   * sentence order.
    *
    * @param {Object[]} insertions - the insertions to perform
    * @param {int} insertions.toIndex - the index of the element to add
    * @param {string} insertions.toWord - the word to insert
+   * @param {Object[]} moves - the moves to perform
+   * @param {Object} change - the change these insertions are a part of
    */
-  Sub.prototype._performInsertions = function(insertions) {
+  Sub.prototype._performInsertions = function(insertions, moves, change) {
     var self = this;
-    setTimeout(function () {
-      insertions.forEach(function(insertAction) {
+    var staying = self._stayingOrder(change.action);
+    var misplaced = staying.some(function(index, i) {
+      return i > 0 && !self._isAfter(self.words[index].elem, self.words[staying[i - 1]].elem);
+    });
+    if (insertions.length === 0 && moves.length === 0 && !misplaced) {
+      return;
+    }
+    // Place words in the order they are seen, so that the word before each
+    // one is always in place already.
+    var order = self._visualOrder(change.action.to);
+    var placements = insertions.concat(moves).sort(function(a, b) {
+      return order.indexOf(a.toIndex) - order.indexOf(b.toIndex);
+    });
+    self._setTimeout(function () {
+      // Subbed and kept words are where they were seen in the old sentence,
+      // which is not where they are seen in the new one if a run written in
+      // the other direction has changed.
+      staying.forEach(function(index, i) {
+        var prev = (i > 0) ? self.words[staying[i - 1]].elem : null;
+        if (prev && !self._isAfter(self.words[index].elem, prev)) {
+          prev.insertAdjacentElement("afterend", self.words[index].elem);
+        }
+      });
+      placements.forEach(function(insertAction) {
+        if (insertAction.fromIndex !== undefined) {
+          self._moveAction(insertAction, change);
+          return;
+        }
 
         /* Insert new node (no text yet) */
-        var html = _wordTemplate(self.settings.namespace, insertAction.toIndex);
-        if (insertAction.toIndex === 0) {
-          self.wrapper.insertAdjacentHTML("afterbegin", html);
-        } else {
-          var selector = self.wrapperSelector + " ." + self.toClass + (insertAction.toIndex - 1);
-          var prevSibling = document.querySelector(selector);
-          prevSibling.insertAdjacentHTML("afterend", html);
-        }
+        var word = self._createWord();
+        self._placeWord(word.elem, insertAction.toIndex, change.action.to);
+        self.words[insertAction.toIndex] = word;
 
         /*  Startup animations */
-        var toIndexClass = self.toClass + insertAction.toIndex;
         var animationContext = {
-          toIndexClass: toIndexClass,
-          word: document.querySelector(self.wrapperSelector + " ." + toIndexClass),
-          visible: document.querySelector(self.wrapperSelector + " ." + toIndexClass + self.visibleClass),
-          invisible: document.querySelector(self.wrapperSelector + " ." + toIndexClass + self.invisibleClass),
-          newText: insertAction.toWord
+          word: word.elem,
+          visible: word.visible,
+          invisible: word.invisible,
+          newText: insertAction.toWord,
+          delay: change.toDelays[insertAction.toIndex],
+          change: change
         };
 
         if (self.settings.verbose) { console.log("insert", animationContext); }
         new Animation("insert", self, animationContext);
       });
-    }, self.settings.speed);
+    }, self.settings.durations.hide, true);
+  };
+
+  /**
+   * Find the words of an action's new sentence that were subbed or kept, in
+   * the order they are seen.
+   *
+   * @param {Object} action - the action being applied
+   *
+   * @returns {int[]} staying - the indices of the words in the new sentence
+   */
+  Sub.prototype._stayingOrder = function(action) {
+    var self = this;
+    var staying = {};
+    action.sub.concat(action.keep).forEach(function(step) {
+      staying[step.toIndex] = true;
+    });
+    return self._visualOrder(action.to).filter(function(index) {
+      return staying[index];
+    });
+  };
+
+  /**
+   * Check whether one word element comes after another in the container.
+   *
+   * @param {HTMLElement} elem - the word element in question
+   * @param {HTMLElement} other - the word element to compare to
+   *
+   * @returns {bool} after - true if `elem` comes after `other`
+   */
+  Sub.prototype._isAfter = function(elem, other) {
+    return (other.compareDocumentPosition(elem) & window.Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+  };
+
+  /**
+   * Swap the whole sentence without moving any words: fade out every word,
+   * then put the new sentence in place and fade it in.
+   *
+   * @param {Object} action - the action to apply
+   * @param {Object} change - the change this fade is a part of
+   */
+  Sub.prototype._fadeSentence = function(action, change) {
+    var self = this;
+    var words = change.fromWords.filter(function(word) {
+      return word;
+    });
+    change.pending = words.length + action.to.length;
+    words.forEach(function(word) {
+      new Animation("vanish", self, {
+        word: word.elem,
+        visible: word.visible,
+        invisible: word.invisible,
+        change: change
+      });
+    });
+
+    self._setTimeout(function() {
+      self.animations.slice().forEach(function(animation) {
+        if (animation.type === "vanish") {
+          animation.finish();
+        }
+      });
+      self._visualOrder(action.to).forEach(function(index) {
+        var word = self._createWord();
+        self.wrapper.appendChild(word.elem);
+        self.words[index] = word;
+        var animationContext = {
+          word: word.elem,
+          visible: word.visible,
+          invisible: word.invisible,
+          newText: action.to[index],
+          change: change
+        };
+        // Take up the full width straight away
+        self._renderToken(animationContext.invisible, animationContext.newText);
+        animationContext.invisible.style.width = "auto";
+        if (self.settings.verbose) { console.log("appear", animationContext); }
+        new Animation("appear", self, animationContext);
+      });
+    }, words.length > 0 ? self.settings.durations.hide : 0, true);
+  };
+
+  /**
+   * Perform the given move.
+   *
+   * @param {Object} moveAction - the move to perform
+   * @param {int} moveAction.fromIndex - the index of the word to move
+   * @param {int} moveAction.toIndex - the index to move the word to
+   * @param {string} moveAction.toWord - the word being moved
+   * @param {Object} change - the change this move is a part of
+   */
+  Sub.prototype._moveAction = function(moveAction, change) {
+    var self = this;
+    var word = change.fromWords[moveAction.fromIndex];
+    self.words[moveAction.toIndex] = word;
+    var animationContext = {
+      toIndex: moveAction.toIndex,
+      word: word.elem,
+      visible: word.visible,
+      invisible: word.invisible,
+      newText: moveAction.toWord,
+      change: change
+    };
+    if (self.settings.verbose) { console.log("move", animationContext); }
+    new Animation("move", self, animationContext);
+  };
+
+  /**
+   * Create the elements of a word, not yet on the page.
+   *
+   * @returns {Object} word - the word's element, `elem`, and the spans in it:
+   *                          `visible`, which shows the text, and
+   *                          `invisible`, which gives the word its width
+   */
+  Sub.prototype._createWord = function() {
+    var self = this;
+    var holder = document.createElement("div");
+    holder.innerHTML = _wordTemplate(self.settings.namespace);
+    var elem = holder.firstChild;
+    return { elem: elem, visible: elem.firstChild, invisible: elem.lastChild };
+  };
+
+  /**
+   * Put an existing word element directly after the word that is seen before
+   * it in the new sentence.
+   *
+   * @param {HTMLElement} word - the word element to place
+   * @param {int} toIndex - the index of the word in the new sentence
+   * @param {Object[]} sentence - the new sentence
+   */
+  Sub.prototype._placeWord = function(word, toIndex, sentence) {
+    var self = this;
+    var prevSibling = self._wordBefore(toIndex, sentence);
+    if (prevSibling) {
+      prevSibling.insertAdjacentElement("afterend", word);
+    } else {
+      self.wrapper.insertAdjacentElement("afterbegin", word);
+    }
+  };
+
+  /**
+   * Find the element of the word that is seen just before a word, in the
+   * direction the sentence is laid out.
+   *
+   * @param {int} toIndex - the index of the word in the new sentence
+   * @param {Object[]} sentence - the new sentence
+   *
+   * @returns {HTMLElement} word - the element before it, or null if the word
+   *                               is the first to be seen
+   */
+  Sub.prototype._wordBefore = function(toIndex, sentence) {
+    var self = this;
+    var order = self._visualOrder(sentence);
+    var position = order.indexOf(toIndex);
+    var word = (position > 0) ? self.words[order[position - 1]] : null;
+    return word ? word.elem : null;
+  };
+
+  /**
+   * Find the order that the words of a sentence are laid out in, starting
+   * from the edge that the sentence starts at.  See visualOrder in
+   * substituteteacher-core.js.
+   *
+   * @param {Object[]} sentence - the sentence to lay out
+   *
+   * @returns {int[]} order - the indices of the words, in the order they are
+   *                          laid out
+   */
+  Sub.prototype._visualOrder = function(sentence) {
+    var self = this;
+    return core.visualOrder(sentence, self.direction);
+  };
+
+  /**
+   * Perform the given substitution
+   *
+   * @param {Object} subAction - the substitution to perform
+   * @param {int} subAction.fromIndex - the index of the element to change
+   * @param {string} subAction.fromWord - the word to sub
+   * @param {int} subAction.toIndex - the index to give the new word
+   * @param {string} subAction.toWord - the word to sub with
+   * @param {Object} change - the change this substitution is a part of
+   */
+  Sub.prototype._subAction = function(subAction, change) {
+    var self = this;
+    var word = change.fromWords[subAction.fromIndex];
+    self.words[subAction.toIndex] = word;
+    var animationContext = {
+      word: word.elem,
+      visible: word.visible,
+      invisible: word.invisible,
+      newText: subAction.toWord,
+      delay: change.fromDelays[subAction.fromIndex],
+      change: change
+    };
+    if (self.settings.verbose) { console.log("sub", animationContext); }
+    new Animation("sub", self, animationContext);
+  };
+
+  /**
+   * Perform the given keep action.
+   *
+   * @param {Object} keepAction - the keep action to perform
+   * @param {int} keepAction.fromIndex - the index of the word to re-label
+   * @param {int} keepAction.toIndex - the index to label this word
+   * @param {Object} change - the change this keep is a part of
+   */
+  Sub.prototype._keepAction = function(keepAction, change) {
+    var self = this;
+    var word = change.fromWords[keepAction.fromIndex];
+    self.words[keepAction.toIndex] = word;
+    var animationContext = {
+      word: word.elem,
+      visible: word.visible,
+      invisible: word.invisible,
+      newText: keepAction.toWord,
+      // the word may only have changed the space after it
+      respace: !_sameToken(keepAction.fromWord, keepAction.toWord),
+      change: change
+    };
+
+    if (self.settings.verbose) { console.log("keep", animationContext); }
+    new Animation("keep", self, animationContext);
+  };
+
+  /***************************************************************************
+   *                                                                         *
+   *                                 Effects                                 *
+   *                                                                         *
+   ***************************************************************************/
+
+  /**
+   * A copy of a token, with only its first `count` characters.  The space
+   * after it is only kept once it is complete.
+   *
+   * @param {Object} token - the token to copy
+   * @param {string[]} characters - the characters of the token's text
+   * @param {int} count - how many characters to keep
+   *
+   * @returns {Object} token - the partial token
+   */
+  function _partialToken(token, characters, count) {
+    var partial = {};
+    for (var key in token) {
+      if (token.hasOwnProperty(key)) {
+        partial[key] = token[key];
+      }
+    }
+    partial.text = characters.slice(0, count).join("");
+    partial.spaceAfter = (count === characters.length) && token.spaceAfter;
+    return partial;
+  }
+
+  /**
+   * Build an effect that rolls words out of and into view along the y axis,
+   * like a ticker.
+   *
+   * @param {string} direction - "up" to roll the old word out of the top, or
+   *                             "down" to roll it out of the bottom
+   *
+   * @returns {Object} effect - the effect
+   */
+  function _slideEffect(direction) {
+    var away = (direction === "up") ? "-100%" : "100%";
+    var from = (direction === "up") ? "100%" : "-100%";
+    return {
+      hide: function(animation) {
+        animation.transition(animation.ctx.visible, "transform", "translateY(" + away + ")");
+      },
+      show: function(animation) {
+        var visible = animation.ctx.visible;
+        animation.render(visible, animation.ctx.newText);
+        visible.style.transform = "translateY(" + from + ")";
+        visible.style.opacity = 1;
+        animation.transition(visible, "transform", "translateY(0)");
+      }
+    };
+  }
+
+  /**
+   * The effects that words can change with, by name.  An effect hides the
+   * word on screen, and shows the new one once the word has been resized to
+   * fit it.
+   *
+   *   hide(animation) - hide animation.ctx.visible
+   *   show(animation) - show animation.ctx.newText in animation.ctx.visible
+   *
+   * Each must call animation.next() once it is done, or leave it to
+   * animation.transition() to do so.
+   */
+  var EFFECTS = {
+    fade: {
+      hide: function(animation) {
+        animation.transition(animation.ctx.visible, "opacity", 0);
+      },
+      show: function(animation) {
+        animation.render(animation.ctx.visible, animation.ctx.newText);
+        animation.transition(animation.ctx.visible, "opacity", 1);
+      }
+    },
+    "slide-up": _slideEffect("up"),
+    "slide-down": _slideEffect("down"),
+    typewriter: {
+      hide: function(animation) {
+        var visible = animation.ctx.visible;
+        var characters = _characters(visible.textContent);
+        var erase = function(count) {
+          visible.textContent = characters.slice(0, count).join("");
+          if (count === 0) {
+            animation.next();
+            return;
+          }
+          animation.later(function() {
+            erase(count - 1);
+          }, animation.duration / characters.length);
+        };
+        erase(characters.length);
+      },
+      show: function(animation) {
+        var visible = animation.ctx.visible;
+        var token = animation.ctx.newText;
+        var characters = _characters(token.text);
+        var type = function(count) {
+          animation.render(visible, _partialToken(token, characters, count));
+          if (count === characters.length) {
+            animation.next();
+            return;
+          }
+          animation.later(function() {
+            type(count + 1);
+          }, animation.duration / characters.length);
+        };
+        visible.style.opacity = 1;
+        type(0);
+      }
+    }
+  };
+
+  /**
+   * Register an effect, to be chosen with the `effect` option.  Registering
+   * an effect with the name of an existing one replaces it.
+   *
+   * @param {string} name - the name of the effect
+   * @param {Object} effect - the effect
+   * @param {function} effect.hide - called with the Animation to hide the
+   *                                 word on screen
+   * @param {function} effect.show - called with the Animation to show the
+   *                                 new word
+   */
+  Sub.registerEffect = function(name, effect) {
+    if (!effect || typeof effect.hide !== "function" ||
+        typeof effect.show !== "function") {
+      throw "An effect must have hide and show functions.";
+    }
+    EFFECTS[name] = effect;
+    return Sub;
   };
 
   /**
-   * Perform the given substitution
+   * Find the effect that words change with in an action of the given type.
    *
-   * @param {Object} subAction - the substitution to perform
-   * @param {int} subAction.fromIndex - the index of the element to change
-   * @param {string} subAction.fromWord - the word to sub
-   * @param {int} subAction.toIndex - the index to give the new word
-   * @param {string} subAction.toWord - the word to sub with
+   * @param {string} type - the type of the animation
+   *
+   * @returns {Object} effect - the effect
    */
-  Sub.prototype._subAction = function(subAction) {
+  Sub.prototype._effectFor = function(type) {
     var self = this;
-    var fromIndexClass = self.fromClass + subAction.fromIndex;
-    var animationContext = {
-      fromIndexClass: fromIndexClass,
-      toIndexClass: self.toClass + subAction.toIndex,
-      word: document.querySelector(self.wrapperSelector + " ." + fromIndexClass),
-      visible: document.querySelector(self.wrapperSelector + " ." + fromIndexClass + self.visibleClass),
-      invisible: document.querySelector(self.wrapperSelector + " ." + fromIndexClass + self.invisibleClass),
-      newText: subAction.toWord
-    };
-    if (self.settings.verbose) { console.log("sub", animationContext); }
-    new Animation("sub", self, animationContext);
+    var effect = self.settings.effect;
+    var name = (typeof effect === "string") ? effect : effect[type];
+    // Reduced motion swaps sentences with a plain fade
+    if (!name || type === "vanish" || type === "appear") {
+      name = "fade";
+    }
+    if (!EFFECTS.hasOwnProperty(name)) {
+      throw "Unknown effect: " + name;
+    }
+    return EFFECTS[name];
   };
 
+  /***************************************************************************
+   *                                                                         *
+   *                                 Drivers                                 *
+   *                                                                         *
+   ***************************************************************************/
+
   /**
-   * Perform the given keep action.
+   * How long past its duration a CSS transition may take to end before we
+   * stop waiting for its transitionend.
+   */
+  var TRANSITION_SLACK = 50;
+
+  /**
+   * Stop listening for the end of a CSS transition run, leaving the element
+   * at rest.
    *
-   * @param {Object} keepAction - the keep action to perform
-   * @param {int} keepAction.fromIndex - the index of the word to re-label
-   * @param {int} keepAction.toIndex - the index to label this word
+   * @param {Object} run - the run to stop
    */
-  Sub.prototype._keepAction = function(keepAction) {
-    var self = this;
-    var fromIndexClass = self.fromClass + keepAction.fromIndex;
-    var animationContext = {
-      fromIndexClass: fromIndexClass,
-      toIndexClass: self.toClass + keepAction.toIndex,
-      word: document.querySelector(self.wrapperSelector + " ." + fromIndexClass),
-    };
+  function _stopTransition(run) {
+    run.elem.removeEventListener(run.event, run.listener, false);
+    run.sub._clearTimeout(run.timer);
+    run.elem.className = run.elem.className.replace(run.animatingClass, "");
+    run.elem.style.transitionDuration = "";
+  }
 
-    if (self.settings.verbose) { console.log("keep", animationContext); }
-    new Animation("keep", self, animationContext);
+  /**
+   * The ways that style properties can be animated, by name.  Each is given
+   * runs: objects with the `elem`, `property`, `value`, `duration` and
+   * `easing` to animate with, and a `done` function to call once the value
+   * has been reached.
+   *
+   *   start(run, animation) - animate to the value
+   *   pause(run) - freeze the run where it is
+   *   resume(run) - continue a frozen run
+   *   cancel(run) - jump straight to the value, without calling done
+   */
+  var DRIVERS = {
+    // The Web Animations API, where the browser tells us when it is done
+    web: {
+      start: function(run) {
+        var from = {};
+        var to = {};
+        from[run.property] = window.getComputedStyle(run.elem)[run.property];
+        to[run.property] = run.value;
+        run.elem.style[run.property] = run.value;
+        run.player = run.elem.animate([from, to], {
+          duration: run.duration,
+          easing: run.easing
+        });
+        // Cancelled runs reject, and need nothing more
+        run.player.finished.then(run.done, function() {});
+      },
+      pause: function(run) {
+        run.player.pause();
+      },
+      resume: function(run) {
+        run.player.play();
+      },
+      cancel: function(run) {
+        run.player.cancel();
+      }
+    },
+    // CSS transitions.  No transitionend fires if the transition is skipped,
+    // e.g. for hidden elements or values that don't change, so every run is
+    // also ended by a timeout.
+    css: {
+      start: function(run, animation) {
+        var elem = run.elem;
+        run.sub = animation.sub;
+        run.event = _whichTransitionEndEvent();
+        run.animatingClass = animation.animatingClass;
+        run.listener = function(e) {
+          // Ignore transitions of the element's children
+          if (e.target === elem) {
+            _stopTransition(run);
+            run.done();
+          }
+        };
+        // Start from any value set directly beforehand
+        _reflow(elem);
+        elem.className += run.animatingClass;
+        elem.style.transitionDuration = run.duration + "ms";
+        elem.addEventListener(run.event, run.listener, false);
+        run.timer = run.sub._setTimeout(function() {
+          _stopTransition(run);
+          elem.style[run.property] = run.value;
+          run.done();
+        }, run.duration + TRANSITION_SLACK);
+        elem.style[run.property] = run.value;
+      },
+      pause: function(run) {
+        run.frozen = window.getComputedStyle(run.elem)[run.property];
+        run.elem.className = run.elem.className.replace(run.animatingClass, "");
+        run.elem.style[run.property] = run.frozen;
+      },
+      resume: function(run) {
+        // Take as long as the fallback timer has left, rather than starting
+        // the whole transition over
+        var remaining = Math.max(0, run.timer.remaining - TRANSITION_SLACK);
+        run.elem.className += run.animatingClass;
+        run.elem.style.transitionDuration = remaining + "ms";
+        _reflow(run.elem);
+        run.elem.style[run.property] = run.value;
+        // If the transition had already reached its end, no transitionend
+        // will fire, so finish now.
+        if (parseFloat(run.frozen) === parseFloat(run.value)) {
+          _stopTransition(run);
+          run.done();
+        }
+      },
+      cancel: function(run) {
+        _stopTransition(run);
+        run.elem.style[run.property] = run.value;
+      }
+    }
   };
 
+  /**
+   * Find the driver an instance animates with.
+   *
+   * @param {string} name - "web", "css", or "auto" to use the Web Animations
+   *                        API where the browser has it
+   *
+   * @returns {Object} driver - the driver
+   */
+  function _findDriver(name) {
+    if (name === "auto") {
+      name = (typeof document.documentElement.animate === "function") ? "web" : "css";
+    }
+    if (!DRIVERS.hasOwnProperty(name)) {
+      throw "Unknown driver: " + name;
+    }
+    return DRIVERS[name];
+  }
+
   /***************************************************************************
    *                                                                         *
    *                               Animation()                               *
@@ -895,9 +2387,14 @@
    * to have state associated with them, without passing arguments to callback
    * functions.
    *
-   * @param {string} animation - one of "remove", "sub", "insert", or
-   *                             "keep".  Indicates the animation to perform,
-   *                             and forcasts the contents of animationContext.
+   * Effects are given the Animation, and may use `type`, `ctx` (with `word`,
+   * `visible`, `invisible` and `newText`), `sub`, `duration` (of the step
+   * being run), next(), transition(), later() and render().
+   *
+   * @param {string} animation - one of "remove", "sub", "insert", "keep",
+   *                             "move", "vanish", or "appear".  Indicates the
+   *                             animation to perform, and forcasts the
+   *                             contents of animationContext.
    * @param {Object} sub - the instance of the Sub class associated
    *                           with this animation.
    * @param {Object} animationContext - any context that is needed by the
@@ -906,70 +2403,177 @@
   function Animation(animation, sub, animationContext) {
     var self = this;
     self.sub = sub;
+    self.type = animation;
     self.ctx = animationContext;
-    self.transitionEnd = _whichTransitionEndEvent();
     self.animatingClass = " " + self.sub.settings.namespace + "-animating";
+    self.effect = self.sub._effectFor(animation);
+    self.runs = [];       // the style properties currently animating
+    self.styled = [];     // the style properties the effect has changed
+    self.duration = self.sub.settings.speed;
+    self.timer = null;
+    self.isPaused = false;
+    self.isDone = false;
+    self.sub.animations.push(self);
     if (animation === "remove") {
-      self.steps = [
-        function() {self._fadeOut();},
-        function() {self._setWidth();},
-        function() {self._removeElement();}
-      ];
+      self.steps = [self._hide, self._setWidth, self._removeElement];
     } else if (animation === "sub") {
-      self.steps = [
-        function() {self._reIndex();},
-        function() {self._fadeOut();},
-        function() {self._setWidth();},
-        function() {self._setTextAndFadeIn();},
-        function() {self._cleanUp();}];
+      self.steps = [self._hide, self._setWidth, self._show, self._cleanUp];
     } else if (animation === "insert") {
-      self.steps = [
-        function() {self._setWidth();},
-        function() {self._setTextAndFadeIn();},
-        function() {self._cleanUp();}];
+      self.steps = [self._setWidth, self._show, self._cleanUp];
     } else if (animation === "keep") {
-      self.steps = [
-        function() {self._reIndex();}
-      ];
+      self.steps = animationContext.respace ? [self._setText] : [];
+    } else if (animation === "vanish") {
+      self.steps = [self._hide, self._removeElement];
+    } else if (animation === "appear") {
+      self.steps = [self._show, self._cleanUp];
+    } else if (animation === "move") {
+      self.steps = [self._slide, self._cleanUp];
     } else {
       console.error("Unknown animation: ", animation);
     }
-    self.steps[0](); // dequeue an run the first task.
+    if (animationContext.delay) {
+      // staggered behind the words before it
+      self.later(function() {
+        self.next();
+      }, animationContext.delay);
+    } else {
+      self.next(); // dequeue an run the first task.
+    }
   }
 
   /**
-   * Change the index class of the word.
+   * Run the next step, or finish if there are none left.
    */
-  Animation.prototype._reIndex = function() {
+  Animation.prototype.next = function() {
     var self = this;
-    var ctx = self.ctx;
-    // if (self.sub.settings.verbose) { console.log("_reIndex"); }
+    self._cancelRuns();
+    var step = self.steps.shift();
+    if (step) {
+      step.call(self);
+    } else {
+      self._done();
+    }
+  };
 
-    // Perform substitution if needed
-    if (self.sub.settings.verbose) {console.log("_reIndex ", ctx.word.innerText, " from ",  ctx.fromIndexClass, " to ", ctx.toIndexClass); }
-    ctx.word.className = ctx.word.className.replace(ctx.fromIndexClass, ctx.toIndexClass);
+  /**
+   * Transition `property` of `elem` to `value` over the duration of the
+   * step, and run the next step once it has finished.
+   *
+   * @param {HTMLElement} elem - the element to transition
+   * @param {string} property - the style property to change
+   * @param {string|number} value - the value to transition to
+   */
+  Animation.prototype.transition = function(elem, property, value) {
+    var self = this;
+    self._animate(elem, property, value, function() {
+      self.next();
+    });
+  };
 
-    // run next step if there is one
-    self.steps.shift(); // pop _reIndex
-    if (self.steps.length > 0) {
-      self.steps[0]();
+  /**
+   * Animate `property` of `elem` to `value` over the duration of the step,
+   * with the instance's driver.
+   *
+   * @param {HTMLElement} elem - the element to animate
+   * @param {string} property - the style property to change
+   * @param {string|number} value - the value to animate to
+   * @param {function} callback - called once the value is reached, if given
+   */
+  Animation.prototype._animate = function(elem, property, value, callback) {
+    var self = this;
+    self.styled.push({ elem: elem, property: property });
+    if (self.duration <= 0) {
+      elem.style[property] = value;
+      if (callback) {
+        callback();
+      }
+      return;
     }
+    var run = {
+      elem: elem,
+      property: property,
+      value: value,
+      duration: self.duration,
+      easing: self.sub.settings.easing,
+      done: function() {
+        var index = self.runs.indexOf(run);
+        // Drivers may report the end of a run more than once
+        if (index === -1) {
+          return;
+        }
+        self.runs.splice(index, 1);
+        if (callback) {
+          callback();
+        }
+      }
+    };
+    self.runs.push(run);
+    self.sub.driver.start(run, self);
+  };
+
+  /**
+   * Stop every run that is still animating, leaving each at its value.
+   */
+  Animation.prototype._cancelRuns = function() {
+    var self = this;
+    var runs = self.runs;
+    self.runs = [];
+    runs.forEach(function(run) {
+      self.sub.driver.cancel(run);
+    });
+  };
+
+  /**
+   * Call `fn` after `delay` milliseconds, unless the animation is paused or
+   * finished first.
+   *
+   * @param {function} fn - the function to call
+   * @param {int} delay - the number of milliseconds to wait
+   */
+  Animation.prototype.later = function(fn, delay) {
+    var self = this;
+    self.timer = self.sub._setTimeout(function() {
+      self.timer = null;
+      fn();
+    }, delay);
+  };
+
+  /**
+   * Render a token into an element, as the instance renders words.
+   *
+   * @param {HTMLElement} elem - the element to render into
+   * @param {Object} token - the token to render
+   */
+  Animation.prototype.render = function(elem, token) {
+    var self = this;
+    self.sub._renderToken(elem, token);
+  };
+
+  /**
+   * Render the new text of the word straight away, without animating.  Used
+   * for kept words whose spacing changed.
+   */
+  Animation.prototype._setText = function() {
+    var self = this;
+    var ctx = self.ctx;
+    if (self.sub.settings.verbose) { console.log("_setText"); }
+    self.sub._renderToken(ctx.visible, ctx.newText);
+    self.sub._renderToken(ctx.invisible, ctx.newText);
+    self.next();
   };
 
   /**
-   * Fade out this word
+   * Hide this word with the effect, holding its width.
    */
-  Animation.prototype._fadeOut = function() {
+  Animation.prototype._hide = function() {
     var self = this;
     var ctx = self.ctx;
-    if (self.sub.settings.verbose) { console.log("_fadeOut"); }
+    if (self.sub.settings.verbose) { console.log("_hide"); }
 
-    /* Hold the containerId width, and fade out */
-    ctx.visible.className += self.animatingClass;
-    self.steps.shift(); // pop _fadeOut
-    ctx.visible.addEventListener(self.transitionEnd, self.steps[0], false);
+    /* Hold the containerId width, and hide */
     ctx.invisible.style.width = ctx.invisible.offsetWidth + "px";
-    ctx.visible.style.opacity = 0;
+    self.duration = self.sub.settings.durations.hide;
+    self.effect.hide(self);
   };
 
   /**
@@ -980,21 +2584,73 @@
     var ctx = self.ctx;
     if (self.sub.settings.verbose) { console.log("_setWidth"); }
     /* Animate the width */
-    ctx.visible.className = ctx.visible.className.replace(self.animatingClass, "");
-    ctx.invisible.className += self.animatingClass;
-    ctx.visible.removeEventListener(self.transitionEnd, self.steps[0], false);
-    self.steps.shift(); // pop _setWidth
-    ctx.invisible.addEventListener(self.transitionEnd, self.steps[0], false);
+    self.duration = self.sub.settings.durations.resize;
     var newWidth = self._calculateWordWidth(
       ctx.newText,
       self.sub.wrapper.tagName,
       self.sub.wrapper.className.split(" ")
     );
-    setTimeout(function() {
-      ctx.invisible.style.width = newWidth + "px";
+    self.later(function() {
+      self.transition(ctx.invisible, "width", newWidth + "px");
     }, 5);
   };
 
+  /**
+   * Move this word to its new position, leaving behind a placeholder that
+   * closes up the gap, and slide the text over from where it was (FLIP: find
+   * the First and Last positions, Invert with a transform, then Play).
+   */
+  Animation.prototype._slide = function() {
+    var self = this;
+    var ctx = self.ctx;
+    var namespace = self.sub.settings.namespace;
+    if (self.sub.settings.verbose) { console.log("_slide"); }
+
+    var first = ctx.word.getBoundingClientRect();
+    ctx.placeholder = document.createElement("div");
+    ctx.placeholder.className = namespace + "-word";
+    ctx.placeholder.setAttribute("aria-hidden", "true");
+    ctx.placeholder.innerHTML =
+      "<span class=\"" + namespace + "-invisible\" style=\"width: " +
+      ctx.invisible.offsetWidth + "px\"></span>";
+    ctx.word.parentNode.insertBefore(ctx.placeholder, ctx.word);
+
+    self.sub._placeWord(ctx.word, ctx.toIndex, ctx.change.action.to);
+    self.sub._renderToken(ctx.visible, ctx.newText);
+    self.sub._renderToken(ctx.invisible, ctx.newText);
+    ctx.word.className += " " + namespace + "-moving";
+    ctx.invisible.style.width = "0px";
+    var last = ctx.word.getBoundingClientRect();
+    ctx.visible.style.transform = "translate(" + (first.left - last.left) +
+                                  "px, " + (first.top - last.top) + "px)";
+    var newWidth = self._calculateWordWidth(
+      ctx.newText,
+      self.sub.wrapper.tagName,
+      self.sub.wrapper.className.split(" ")
+    );
+    _reflow(ctx.word);
+
+    // Slide at the pace the words around it are resized
+    self.duration = self.sub.settings.durations.resize;
+    self._animate(ctx.placeholder.firstChild, "width", "0px");
+    self._animate(ctx.invisible, "width", newWidth + "px");
+    self.transition(ctx.visible, "transform", "translate(0px, 0px)");
+  };
+
+  /**
+   * Remove the placeholder and classes added by _slide.
+   */
+  Animation.prototype._clearMove = function() {
+    var self = this;
+    var ctx = self.ctx;
+    if (ctx.placeholder && ctx.placeholder.parentNode) {
+      ctx.placeholder.parentNode.removeChild(ctx.placeholder);
+    }
+    ctx.placeholder = null;
+    ctx.word.className = ctx.word.className.replace(" " + self.sub.settings.namespace + "-moving", "");
+    ctx.visible.style.transform = "";
+  };
+
   /**
    * Remove this element from the DOM
    */
@@ -1004,41 +2660,128 @@
     if (self.sub.settings.verbose) { console.log("_removeElement"); }
 
     /* Remove this word */
-    ctx.invisible.removeEventListener(self.transitionEnd, self.steps[0], false);
-    self.sub.wrapper.removeChild(ctx.word);
+    if (ctx.word.parentNode) {
+      ctx.word.parentNode.removeChild(ctx.word);
+    }
+    self.next();
   };
 
   /**
-   * Set the text of this element to ctx.newText and fade it in.
+   * Show ctx.newText with the effect.  The hidden copy that sizes the word
+   * gets the text straight away.
    */
-  Animation.prototype._setTextAndFadeIn = function() {
+  Animation.prototype._show = function() {
     var self = this;
     var ctx = self.ctx;
-    if (self.sub.settings.verbose) { console.log("_setTextAndFadeIn"); }
-    /* Sub the text then fade in */
-    ctx.invisible.className = ctx.invisible.className.replace(self.animatingClass, "");
-    ctx.visible.className += self.animatingClass;
-    ctx.invisible.removeEventListener(self.transitionEnd, self.steps[0], false);
-    self.steps.shift(); // pop _setTextAndFadeIn
-    ctx.visible.addEventListener(self.transitionEnd, self.steps[0], false);
-    ctx.visible.innerHTML = ctx.newText;
-    ctx.invisible.innerHTML = ctx.newText;
-    ctx.visible.style.opacity = 1;
+    if (self.sub.settings.verbose) { console.log("_show"); }
+    self.sub._renderToken(ctx.invisible, ctx.newText);
+    self.duration = self.sub.settings.durations.show;
+    self.effect.show(self);
   };
 
   /**
-   * Remove animation classes, remove event listeners, and set widths to "auto"
+   * Remove animation classes, and leave the word at rest.
    */
   Animation.prototype._cleanUp = function() {
     var self = this;
-    var ctx = self.ctx;
     if (self.sub.settings.verbose) { console.log("_cleanUp"); }
 
     /* Clean Up */
+    self._settle();
+    self.next();
+  };
+
+  /**
+   * Put the word at rest, showing ctx.newText: undo the styles the effect
+   * changed, and let the word take its natural width.
+   */
+  Animation.prototype._settle = function() {
+    var self = this;
+    var ctx = self.ctx;
     ctx.invisible.className = ctx.invisible.className.replace(self.animatingClass, "");
     ctx.visible.className = ctx.visible.className.replace(self.animatingClass, "");
-    ctx.visible.removeEventListener(self.transitionEnd, self.steps[0], false);
+    self.styled.forEach(function(styled) {
+      styled.elem.style[styled.property] = "";
+    });
+    self.styled = [];
+    ctx.visible.style.opacity = 1;
+    ctx.visible.style.transitionDuration = "";
+    ctx.invisible.style.transitionDuration = "";
     ctx.invisible.style.width = "auto";
+    if (self.type === "move") {
+      self._clearMove();
+    }
+  };
+
+  /**
+   * Freeze the running animation where it is.
+   */
+  Animation.prototype.pause = function() {
+    var self = this;
+    if (self.isPaused || self.isDone) {
+      return;
+    }
+    self.isPaused = true;
+    self.runs.forEach(function(run) {
+      self.sub.driver.pause(run);
+    });
+  };
+
+  /**
+   * Continue an animation frozen by pause().
+   */
+  Animation.prototype.resume = function() {
+    var self = this;
+    if (!self.isPaused) {
+      return;
+    }
+    self.isPaused = false;
+    // Resuming may end a run, and so change self.runs
+    self.runs.slice().forEach(function(run) {
+      if (self.runs.indexOf(run) !== -1) {
+        self.sub.driver.resume(run);
+      }
+    });
+  };
+
+  /**
+   * Skip the rest of the animation, putting the word directly into its final
+   * state.
+   */
+  Animation.prototype.finish = function() {
+    var self = this;
+    var ctx = self.ctx;
+    if (self.isDone) {
+      return;
+    }
+    self.sub._clearTimeout(self.timer);
+    self._cancelRuns();
+    self.steps = [];
+    if (self.type === "remove" || self.type === "vanish") {
+      if (ctx.word.parentNode) {
+        ctx.word.parentNode.removeChild(ctx.word);
+      }
+    } else if (self.type !== "keep" || ctx.respace) {
+      self.sub._renderToken(ctx.visible, ctx.newText);
+      self.sub._renderToken(ctx.invisible, ctx.newText);
+      self._settle();
+    }
+    self._done();
+  };
+
+  /**
+   * Let the Sub instance know that this animation has finished.
+   */
+  Animation.prototype._done = function() {
+    var self = this;
+    if (self.isDone) {
+      return;
+    }
+    self.isDone = true;
+    self.sub.animations.splice(self.sub.animations.indexOf(self), 1);
+    if (self.ctx.change) {
+      self.sub._animationEnd(self);
+    }
   };
 
   /**
@@ -1056,14 +2799,230 @@
     classes = classes || [];
     classes.push(self.sub.settings.namespace + "-text-width-calculation");
     elem.setAttribute("class", classes.join(" "));
-    elem.innerHTML = text;
-    document.body.appendChild(elem);
+    self.sub._renderToken(elem, text);
+    // Measure next to the wrapper, where its styles apply
+    (self.sub.wrapper.parentNode || document.body).appendChild(elem);
     /* Get a decimal number of the form 12.455 */
     var width = parseFloat(window.getComputedStyle(elem, null).width);
     elem.parentNode.removeChild(elem);
     return width;
   };
 
+  /***************************************************************************
+   *                                                                         *
+   *                          <substitute-teacher>                           *
+   *                                                                         *
+   ***************************************************************************/
+
+  /**
+   * The attributes of <substitute-teacher> that set options of Sub, and how
+   * to read their values.
+   */
+  var ELEMENT_OPTIONS = [
+    { attribute: "interval", option: "interval", type: "number" },
+    { attribute: "speed", option: "speed", type: "number" },
+    { attribute: "random", option: "random", type: "boolean" },
+    { attribute: "best", option: "best", type: "boolean" },
+    { attribute: "mobile-width", option: "mobileWidth", type: "number" }
+  ];
+
+  /**
+   * A custom element that rotates between sentences without any script:
+   *
+   *   <substitute-teacher interval="3000">
+   *     <span>A daring JavaScript library</span>
+   *     <span>A nifty JavaScript library</span>
+   *   </substitute-teacher>
+   *
+   * Sentences are taken from the `sentences` property, the `sentences`
+   * attribute (a JSON array of strings), or else the text of each child
+   * element.  Written without classes, so that the library stays ES5.
+   */
+  function SubstituteTeacherElement() {
+    var self = Reflect.construct(HTMLElement, [], this.constructor);
+    self._sub = null;
+    self._sentences = null;
+    self._childSentences = null;
+    self._inert = false;
+    return self;
+  }
+
+  SubstituteTeacherElement.observedAttributes = ["sentences"].concat(
+    ELEMENT_OPTIONS.map(function(option) { return option.attribute; }));
+
+  SubstituteTeacherElement.prototype = Object.create(HTMLElement.prototype, {
+    constructor: { value: SubstituteTeacherElement, writable: true, configurable: true },
+
+    /**
+     * The sentences to rotate between, or null if the `sentences` attribute
+     * is not a JSON array.  Setting them restarts the rotation.
+     */
+    sentences: {
+      configurable: true,
+      get: function() {
+        return this._sentences || this._readSentences();
+      },
+      set: function(sentences) {
+        this._sentences = sentences;
+        this._restart();
+      }
+    },
+
+    /**
+     * The instance of Sub doing the work, or null if not connected.
+     */
+    sub: {
+      configurable: true,
+      get: function() {
+        return this._sub;
+      }
+    }
+  });
+
+  /**
+   * Start rotating when added to the page.  If the element is still being
+   * parsed, wait for its children first.
+   */
+  SubstituteTeacherElement.prototype.connectedCallback = function() {
+    var self = this;
+    if (!self._sentences && !self.hasAttribute("sentences") &&
+        self.children.length === 0 && document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", function() {
+        if (self.isConnected) {
+          self._start();
+        }
+      });
+      return;
+    }
+    self._start();
+  };
+
+  /**
+   * Stop rotating and clean up when removed from the page.
+   */
+  SubstituteTeacherElement.prototype.disconnectedCallback = function() {
+    var self = this;
+    self._stop();
+  };
+
+  /**
+   * Restart with the new options when an attribute changes.
+   */
+  SubstituteTeacherElement.prototype.attributeChangedCallback = function(name, oldValue, newValue) {
+    var self = this;
+    if (oldValue === newValue) {
+      return;
+    }
+    if (name === "sentences") {
+      self._sentences = null;
+    }
+    self._restart();
+  };
+
+  /**
+   * Read the sentences from the `sentences` attribute, or from the text of
+   * each child element.
+   *
+   * @returns {string[]} sentences - the sentences, or null if the attribute
+   *                                 is not a JSON array
+   */
+  SubstituteTeacherElement.prototype._readSentences = function() {
+    var self = this;
+    if (self.hasAttribute("sentences")) {
+      var sentences;
+      try {
+        sentences = JSON.parse(self.getAttribute("sentences"));
+      } catch (e) {
+        return null;
+      }
+      return Array.isArray(sentences) ? sentences : null;
+    }
+    // Sub replaces the children, so remember what they said
+    if (!self._childSentences && self.children.length > 0) {
+      self._childSentences = [].map.call(self.children, function(child) {
+        return child.textContent.replace(/\s+/g, " ").replace(/^ | $/g, "");
+      });
+    }
+    return self._childSentences || [];
+  };
+
+  /**
+   * Read the options for Sub from the element's attributes.
+   *
+   * @returns {Object} options - the options
+   */
+  SubstituteTeacherElement.prototype._readOptions = function() {
+    var self = this;
+    var options = { container: self };
+    ELEMENT_OPTIONS.forEach(function(option) {
+      var value = self.getAttribute(option.attribute);
+      if (value === null) {
+        return;
+      }
+      if (option.type === "boolean") {
+        options[option.option] = (value !== "false");
+      } else if (!isNaN(parseInt(value, 10))) {
+        options[option.option] = parseInt(value, 10);
+      }
+    });
+    return options;
+  };
+
+  /**
+   * Create a Sub in the element and start it.  If the sentences can't be
+   * read, the element is left as it is, and an "error" event is fired at it
+   * instead, since nothing could catch an error thrown from a callback.
+   */
+  SubstituteTeacherElement.prototype._start = function() {
+    var self = this;
+    if (self._sub) {
+      return;
+    }
+    var sentences = self.sentences;
+    self._inert = !sentences;
+    if (!sentences) {
+      var message = "The sentences attribute must be a JSON array of strings.";
+      console.error(message, self.getAttribute("sentences"));
+      self.dispatchEvent(new CustomEvent("error", { detail: { message: message } }));
+      return;
+    }
+    if (window.getComputedStyle(self).display === "inline") {
+      self.style.display = "block";
+    }
+    self._sub = new Sub(sentences, self._readOptions());
+    self._sub.run();
+  };
+
+  /**
+   * Stop and remove the Sub in the element, if there is one.
+   */
+  SubstituteTeacherElement.prototype._stop = function() {
+    var self = this;
+    self._inert = false;
+    if (self._sub) {
+      self._sub.destroy();
+      self._sub = null;
+    }
+  };
+
+  /**
+   * Start again with the current sentences and options, if running, or if
+   * the sentences could not be read last time.
+   */
+  SubstituteTeacherElement.prototype._restart = function() {
+    var self = this;
+    if (self._sub || self._inert) {
+      self._stop();
+      self._start();
+    }
+  };
+
+  Sub.Element = SubstituteTeacherElement;
+  if (window.customElements && window.Reflect && !window.customElements.get("substitute-teacher")) {
+    window.customElements.define("substitute-teacher", SubstituteTeacherElement);
+  }
+
+  Sub.core = core;
   window.Sub = Sub;
 
-}(window));
+}(window, window.SubCore));
@@ -1 +1,2 @@
-!function(a){"use strict";function b(a,b){return a.action.cost-b.action.cost}function c(a){if(!a||"string"!=typeof a)throw"rawSentence must be a string.";var b,c,d,e=[];for(b=0,c=0;c<a.length;c++)d=a.charAt(c),d.match(/[\.,"\/!\?\*\+;:{}=()\[\]\s]/g)&&(c>b&&(d.match(/\s/g)?e.push(a.slice(b,c)+"&nbsp;"):e.push(a.slice(b,c))),d.match(/\s/g)||(c+1<a.length&&a.charAt(c+1).match(/\s/g)?e.push(d+"&nbsp;"):e.push(d)),b=c+1);return c>b&&e.push(a.slice(b,c)),e}function d(){var a,b=document.createElement("fakeelement"),c={WebkitTransition:"webkitTransitionEnd",MozTransition:"transitionend",MSTransition:"msTransitionEnd",OTransition:"otransitionend",transition:"transitionend"};for(a in c)if(c.hasOwnProperty(a)&&void 0!==b.style[a])return c[a]}function e(a,b){return'<div class="'+a+"-to-idx-"+b+" "+a+'-word"><span class="'+a+'-visible" style="opacity: 0"></span><span class="'+a+'-invisible" style="width: 0px"></span></div>'}function f(a,b,c,d){var e="@font-face {\n    font-family: "+a+"-empty;\n    src: url(data:application/font-woff;charset=utf-8;base64,d09GRk9UVE8AAAQ0AAoAAAAAA+wAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAABDRkYgAAAA9AAAAJ4AAACeXQ48j09TLzIAAAGUAAAAYAAAAGAIIgbWY21hcAAAAfQAAABEAAAARAAyAGlnYXNwAAACOAAAAAgAAAAIAAAAEGhlYWQAAAJAAAAANgAAADb9mzB5aGhlYQAAAngAAAAkAAAAJAHiAeVobXR4AAACnAAAABAAAAAQAAAAAG1heHAAAAKsAAAABgAAAAYABFAAbmFtZQAAArQAAAFdAAABXVqZXRlwb3N0AAAEFAAAACAAAAAgAAMAAAEABAQAAQEBDHNwYWNlLWVtcHR5AAECAAEAOvgcAvgbA/gYBB4KABlT/4uLHgoAGVP/i4sMB4tr+JT4dAUdAAAAfA8dAAAAgREdAAAACR0AAACVEgAFAQEMFxkbHnNwYWNlLWVtcHR5c3BhY2UtZW1wdHl1MHUxdTIwAAACAYkAAgAEAQEEBwoN/JQO/JQO/JQO/JQO+JQU+JQViwwKAAAAAwIAAZAABQAAAUwBZgAAAEcBTAFmAAAA9QAZAIQAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAABAAAAAIAHg/+D/4AHgACAAAAABAAAAAAAAAAAAAAAgAAAAAAACAAAAAwAAABQAAwABAAAAFAAEADAAAAAIAAgAAgAAAAEAIP/9//8AAAAAACD//f//AAH/4wADAAEAAAAAAAAAAAABAAH//wAPAAEAAAABAAAAeR2GXw889QALAgAAAAAAzz54vgAAAADPPni+AAAAAAAAAAAAAAAIAAIAAAAAAAAAAQAAAeD/4AAAAgAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAABQAAAEAAAAAAAOAK4AAQAAAAAAAQAWAAAAAQAAAAAAAgAOAGMAAQAAAAAAAwAWACwAAQAAAAAABAAWAHEAAQAAAAAABQAWABYAAQAAAAAABgALAEIAAQAAAAAACgAoAIcAAwABBAkAAQAWAAAAAwABBAkAAgAOAGMAAwABBAkAAwAWACwAAwABBAkABAAWAHEAAwABBAkABQAWABYAAwABBAkABgAWAE0AAwABBAkACgAoAIcAcwBwAGEAYwBlAC0AZQBtAHAAdAB5AFYAZQByAHMAaQBvAG4AIAAxAC4AMABzAHAAYQBjAGUALQBlAG0AcAB0AHlzcGFjZS1lbXB0eQBzAHAAYQBjAGUALQBlAG0AcAB0AHkAUgBlAGcAdQBsAGEAcgBzAHAAYQBjAGUALQBlAG0AcAB0AHkARwBlAG4AZQByAGEAdABlAGQAIABiAHkAIABJAGMAbwBNAG8AbwBuAAAAAAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=) format('woff');\n}\n."+a+"-invisible { visibility: hidden; }\n."+a+"-animating {\n  -webkit-transition: "+b+"s all linear;\n  -moz-transition: "+b+"s all linear;\n  -o-transition: "+b+"s all linear;\n  transition: "+b+"s all linear; }\n."+a+" {\n  position: relative;\n  font-family: "+a+"-empty;\n  margin: 0;}\n."+a+":after {\n  content: ' ';\n  display: block;\n  clear: both;}\n."+a+"-text-width-calculation {\n  position: absolute;\n  visibility: hidden;\n  font-family: "+d+";\n  height: auto;\n  width: auto;\n  display: inline-block;\n  white-space: nowrap; }\n  ."+a+" ."+a+"-old-content {\n    font-family: "+d+";\n    position: absolute;\n    left: 0;\n    width: 100%;\n    top: 0;\n    height: 100%;\n  }\n  ."+a+"."+a+"-loaded ."+a+"-old-content {    display: none;  }\n  ."+a+"."+a+"-loaded ."+a+"-word {    opacity: 1;  }\n  ."+a+" ."+a+"-punctuation { margin-left: -0.3rem; }\n  ."+a+" ."+a+"-word {\n    display: inline-block;\n    position: relative;\n    float: left;\n    opacity: 0;\n    font-family: "+d+";\n    text-align: center;\n    height: "+c+";\n    white-space: nowrap;\n    overflow: hidden;}\n    ."+a+" ."+a+"-word span {\n      top: 0;\n      position: relative;\n      overflow: hidden;\n      height: 1px;\n      display: inline-block;}\n      ."+a+" ."+a+"-word ."+a+"-visible {\n        position: absolute;\n        display: inline-block;\n        height: "+c+";\n        top: 0;\n        bottom: 0;\n        right:0;\n        left: 0;}",f=document.head||document.getElementsByTagName("head")[0],g=document.createElement("style");g.type="text/css",g.styleSheet?g.styleSheet.cssText=e:g.appendChild(document.createTextNode(e)),f.appendChild(g)}function g(b,c){var d=this,e=c||{};d.settings={containerId:e.containerId||"sub",namespace:e.namespace||"sub",interval:e.interval||5e3,speed:e.speed||200,mobileWidth:e.mobileWidth||null,verbose:void 0!==e.verbose?e.verbose:!1,random:void 0!==e.random?e.random:!1,best:void 0!==e.best?e.best:!0,clearOriginalContent:void 0!==e.clearOriginalContent?e.clearOriginalContent:!0,_testing:void 0!==e._testing?e._testing:!1},d.wrapper=document.getElementById(d.settings.containerId);var g=a.getComputedStyle(d.wrapper);return f(d.settings.namespace,d.settings.speed/1e3,g.height,g.fontFamily),d.highestTimeoutId=0,d.currentState=null,d.actions=[],d.invisibleClass=" ."+d.settings.namespace+"-invisible",d.visibleClass=" ."+d.settings.namespace+"-visible",d.fromClass=d.settings.namespace+"-from-idx-",d.toClass=d.settings.namespace+"-to-idx-",d.wrapperSelector="#"+d.settings.namespace,d.isEmpty=!0,d._setupContainer(),d.settings._testing||d._setSentences(d._parseSentences(b)),d}function h(a,b,c){var e=this;e.sub=b,e.ctx=c,e.transitionEnd=d(),e.animatingClass=" "+e.sub.settings.namespace+"-animating","remove"===a?e.steps=[function(){e._fadeOut()},function(){e._setWidth()},function(){e._removeElement()}]:"sub"===a?e.steps=[function(){e._reIndex()},function(){e._fadeOut()},function(){e._setWidth()},function(){e._setTextAndFadeIn()},function(){e._cleanUp()}]:"insert"===a?e.steps=[function(){e._setWidth()},function(){e._setTextAndFadeIn()},function(){e._cleanUp()}]:"keep"===a?e.steps=[function(){e._reIndex()}]:console.error("Unknown animation: ",a),e.steps[0]()}g.prototype._parseSentences=function(a){if(!a||"object"!=typeof a)throw"rawSentences must be an array of strings.";return a.map(c)},g.prototype._setupContainer=function(){var b=this,c=document.getElementById(b.settings.containerId);if(!c)throw"Cannot find element with id:"+b.settings.containerId;var d=a.getComputedStyle(c);c.style.height=d.height,b.settings.clearOriginalContent?c.innerHTML="":(c.style.width=d.width,c.innerHTML='<span class="'+b.settings.namespace+'-old-content">'+c.innerHTML.replace(" ","&nbsp;")+"</span>"),c.className=b.settings.namespace},g.prototype._getOnResize=function(){var b=this;b.isStopped=!1;var c=function(c){b.lastWindowWidth=a.innerWidth,null!==b.settings.mobileWidth&&(!b.isStopped&&b.lastWindowWidth<b.settings.mobileWidth?(b._stop(),b.isStopped=!0):b.isStopped&&b.lastWindowWidth>b.settings.mobileWidth&&(b._run(),b.isStopped=!1))};return c},g.prototype._run=function(){var a=this;if(!a.actions)return void setTimeout(function(){a.run()},20);if(a.isEmpty){a.isEmpty=!1;var b=a._computeActionsToChange([],a.actions[0].from);if(!b)throw console.log(b),"returned null action";a._applyAction(b)}a.highestTimeoutId=setTimeout(function(){a.wrapper.className+=" "+a.settings.namespace+"-loaded",a.wrapper.style.height="",a._sentenceLoop()},a.settings.interval)},g.prototype.run=function(){var b=this;return b.onResize=b._getOnResize(),a.addEventListener("resize",b.onResize,!1),a.addEventListener("orientationchange",b.onResize,!1),b._run(),b},g.prototype._stop=function(){var a=this;clearTimeout(a.highestTimeoutId)},g.prototype.stop=function(){var b=this;return a.removeEventListener("resize",b.onResize,!1),a.removeEventListener("orientationchange",b.onResize,!1),b._stop(),b},g.prototype._computeActionsToChange=function(a,b){var c=this;c.settings.verbose&&console.log("_computeActionsToChange: ",a,b);var d={from:a,to:b,sub:[],remove:[],insert:[],keep:[],cost:0},e=function(c,f,g){var h;if(g=g||!1,c>=a.length){if(!g)for(h=f;h<b.length;h++)d.insert.push({toWord:b[h],toIndex:h});return b.length-f}if(f>=b.length){if(!g)for(h=c;h<a.length;h++)d.remove.push({fromWord:a[h],fromIndex:h});return a.length-f}if(a[c]===b[f])return g?0:(d.keep.push({fromWord:a[c],toWord:b[f],fromIndex:c,toIndex:f}),e(c+1,f+1));var i=a.indexOf(b[f],c);if(g)return i;if(c+1==a.length&&-1===i)return d.sub.push({fromWord:a[c],toWord:b[f],fromIndex:c,toIndex:f}),e(c+1,f+1)+1;var j=e(c,f+1,!0);if(-1===i)return 0===j?(d.insert.push({toWord:b[f],toIndex:f}),e(c,f+1)+1):(d.sub.push({fromWord:a[c],toWord:b[f],fromIndex:c,toIndex:f}),e(c+1,f+1)+1);if(i===c+1&&j===c||i===j){var k=a.length-c,l=b.length-f;return k>l?(d.insert.push({toWord:b[f],toIndex:f}),e(c+1,f)+1):(d.remove.push({fromWord:a[c],fromIndex:c}),e(c,f+1)+1)}if(i>j&&-1!==j)return d.sub.push({fromWord:a[c],toWord:b[f],fromIndex:c,toIndex:f}),e(c+1,f+1)+1;for(h=c;i>h;h++)d.remove.push({fromWord:a[h],fromIndex:h});return d.keep.push({fromWord:a[i],toWord:b[f],fromIndex:i,toIndex:f}),e(i+1,f+1)+(i-c)};return d.cost=e(0,0),d},g.prototype._setSentences=function(a){var c,d,e,f=this;if(0===a.length&&(f.actions=[]),f.settings.best){var g=a.map(function(b,c){return a.map(function(b,d){if(c===d)return{action:{cost:Number.MAX_VALUE},fromIndex:c,toIndex:d};var e=f._computeActionsToChange(a[c],a[d]);return{action:e,fromIndex:c,toIndex:d}})}),h=[],i=0;g.sort(function(a,c){return a.sort(b),c.sort(b),a[0].cost-c[0].cost});var j=g[0][0].fromIndex;for(c=0;c<a.length;c++)for(d=0;d<a.length;d++)if(c===a.length-1&&g[i][d].toIndex===j||c!==a.length-1&&-1===h.indexOf(g[i][d].toIndex)){f.actions.push(g[i][d].action),h.push(i),i=g[i][d].toIndex;break}if(f.settings.random){var k=Math.floor(Math.random()*a.length);for(c=0;k>c;c++)f.actions.push(f.actions.shift())}}else for(f.settings.random&&a.sort(function(){return.5-Math.random()}),c=0;c<a.length;c++)e=0===c?a.length-1:c-1,f.actions.push(f._computeActionsToChange(a[e],a[c]))},g.prototype._sentenceLoop=function(){var a=this,b=a.actions.shift();if(!b)throw console.log(b,a.actions),"returned null action";a._applyAction(b),a.actions.push(b),clearTimeout(a.highestTimeoutId),a.highestTimeoutId=setTimeout(function(){a._sentenceLoop()},a.settings.interval)},g.prototype._applyAction=function(a){var b=this,c=document.getElementsByClassName(b.settings.namespace+"-word");[].forEach.call(c,function(a){b.settings.verbose&&console.log("replacing to- with from- for:",a),a.className=a.className.replace(b.toClass,b.fromClass)}),a.sub.map(function(a){b._subAction(a)}),a.remove.map(function(a){b._removeAction(a)}),a.keep.map(function(a){b._keepAction(a)}),b._performInsertions(a.insert)},g.prototype._removeAction=function(a){var b=this,c=b.fromClass+a.fromIndex,d={fromIndexClass:c,word:document.querySelector(b.wrapperSelector+" ."+c),visible:document.querySelector(b.wrapperSelector+" ."+c+b.visibleClass),invisible:document.querySelector(b.wrapperSelector+" ."+c+b.invisibleClass),newText:""};b.settings.verbose&&console.log("remove",d),new h("remove",b,d)},g.prototype._performInsertions=function(a){var b=this;setTimeout(function(){a.forEach(function(a){var c=e(b.settings.namespace,a.toIndex);if(0===a.toIndex)b.wrapper.insertAdjacentHTML("afterbegin",c);else{var d=b.wrapperSelector+" ."+b.toClass+(a.toIndex-1),f=document.querySelector(d);f.insertAdjacentHTML("afterend",c)}var g=b.toClass+a.toIndex,i={toIndexClass:g,word:document.querySelector(b.wrapperSelector+" ."+g),visible:document.querySelector(b.wrapperSelector+" ."+g+b.visibleClass),invisible:document.querySelector(b.wrapperSelector+" ."+g+b.invisibleClass),newText:a.toWord};b.settings.verbose&&console.log("insert",i),new h("insert",b,i)})},b.settings.speed)},g.prototype._subAction=function(a){var b=this,c=b.fromClass+a.fromIndex,d={fromIndexClass:c,toIndexClass:b.toClass+a.toIndex,word:document.querySelector(b.wrapperSelector+" ."+c),visible:document.querySelector(b.wrapperSelector+" ."+c+b.visibleClass),invisible:document.querySelector(b.wrapperSelector+" ."+c+b.invisibleClass),newText:a.toWord};b.settings.verbose&&console.log("sub",d),new h("sub",b,d)},g.prototype._keepAction=function(a){var b=this,c=b.fromClass+a.fromIndex,d={fromIndexClass:c,toIndexClass:b.toClass+a.toIndex,word:document.querySelector(b.wrapperSelector+" ."+c)};b.settings.verbose&&console.log("keep",d),new h("keep",b,d)},h.prototype._reIndex=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_reIndex ",b.word.innerText," from ",b.fromIndexClass," to ",b.toIndexClass),b.word.className=b.word.className.replace(b.fromIndexClass,b.toIndexClass),a.steps.shift(),a.steps.length>0&&a.steps[0]()},h.prototype._fadeOut=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_fadeOut"),b.visible.className+=a.animatingClass,a.steps.shift(),b.visible.addEventListener(a.transitionEnd,a.steps[0],!1),b.invisible.style.width=b.invisible.offsetWidth+"px",b.visible.style.opacity=0},h.prototype._setWidth=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_setWidth"),b.visible.className=b.visible.className.replace(a.animatingClass,""),b.invisible.className+=a.animatingClass,b.visible.removeEventListener(a.transitionEnd,a.steps[0],!1),a.steps.shift(),b.invisible.addEventListener(a.transitionEnd,a.steps[0],!1);var c=a._calculateWordWidth(b.newText,a.sub.wrapper.tagName,a.sub.wrapper.className.split(" "));setTimeout(function(){b.invisible.style.width=c+"px"},5)},h.prototype._removeElement=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_removeElement"),b.invisible.removeEventListener(a.transitionEnd,a.steps[0],!1),a.sub.wrapper.removeChild(b.word)},h.prototype._setTextAndFadeIn=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_setTextAndFadeIn"),b.invisible.className=b.invisible.className.replace(a.animatingClass,""),b.visible.className+=a.animatingClass,b.invisible.removeEventListener(a.transitionEnd,a.steps[0],!1),a.steps.shift(),b.visible.addEventListener(a.transitionEnd,a.steps[0],!1),b.visible.innerHTML=b.newText,b.invisible.innerHTML=b.newText,b.visible.style.opacity=1},h.prototype._cleanUp=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_cleanUp"),b.invisible.className=b.invisible.className.replace(a.animatingClass,""),b.visible.className=b.visible.className.replace(a.animatingClass,""),b.visible.removeEventListener(a.transitionEnd,a.steps[0],!1),b.invisible.style.width="auto"},h.prototype._calculateWordWidth=function(b,c,d){var e=this,f=document.createElement(c);d=d||[],d.push(e.sub.settings.namespace+"-text-width-calculation"),f.setAttribute("class",d.join(" ")),f.innerHTML=b,document.body.appendChild(f);var g=parseFloat(a.getComputedStyle(f,null).width);return f.parentNode.removeChild(f),g},a.Sub=g}(window);
\ No newline at end of file
+!function(a,b){"use strict";"function"==typeof define&&define.amd?define([],b):"object"==typeof module&&module.exports?module.exports=b():a.SubCore=b()}(this,function(){"use strict";function a(a,b){return a.action.cost-b.action.cost}function b(a){var b=[],c=[],d=[],e={},f={};if(a.remove.forEach(function(a){b.push({word:a.fromWord,index:a.fromIndex})}),a.sub.forEach(function(a){b.push({word:a.fromWord,index:a.fromIndex}),c.push({word:a.toWord,index:a.toIndex})}),a.insert.forEach(function(a){c.push({word:a.toWord,index:a.toIndex})}),b.sort(function(a,b){return a.index-b.index}),c.sort(function(a,b){return a.index-b.index}),c.forEach(function(a){for(var c=0;c<b.length;c++)if(!e[b[c].index]&&l(b[c].word)===l(a.word))return d.push({fromWord:b[c].word,toWord:a.word,fromIndex:b[c].index,toIndex:a.index}),e[b[c].index]=!0,void(f[a.index]=!0)}),0===d.length)return a;var g=[],h=[],i=[];a.sub.forEach(function(a){e[a.fromIndex]||f[a.toIndex]?e[a.fromIndex]?f[a.toIndex]||i.push({toWord:a.toWord,toIndex:a.toIndex}):h.push({fromWord:a.fromWord,fromIndex:a.fromIndex}):g.push(a)}),a.remove.forEach(function(a){e[a.fromIndex]||h.push(a)}),a.insert.forEach(function(a){f[a.toIndex]||i.push(a)});var j=g.length+h.length+i.length+d.length;return j>a.cost?a:(a.sub=g,a.remove=h.sort(function(a,b){return a.fromIndex-b.fromIndex}),a.insert=i.sort(function(a,b){return a.toIndex-b.toIndex}),a.move=d,a.cost=j,a)}function c(a,b){return a.match(/^[.,;:!?)\]}]$/)?"left":a.match(/^[(\[{]$/)?"right":'"'===a?b?"right":"left":null}function d(a){return a.forEach(function(b,c){"left"===b.attach&&c>0&&(b.spaceBefore=!1,a[c-1].spaceAfter=!1),"right"===b.attach&&c<a.length-1&&(b.spaceAfter=!1,a[c+1].spaceBefore=!1)}),a}function e(a){if(!a||"string"!=typeof a)throw"rawSentence must be a string.";var b,e,f,g=[],h=!1,i=0,j=function(a){g.push({text:a,spaceBefore:h,spaceAfter:!1,attach:c(a,i%2==0)}),'"'===a&&i++,h=!1};for(b=0,e=0;e<a.length;e++)f=a.charAt(e),f.match(/[\.,"\/!\?\*\+;:{}=()\[\]\s]/g)&&(e>b&&j(a.slice(b,e)),f.match(/\s/g)?(g.length>0&&(g[g.length-1].spaceAfter=!0),h=!0):j(f),b=e+1);return b<e&&j(a.slice(b,e)),d(g)}function f(a,b){var e=[],f=!1,g=0;return a.forEach(function(a){if("string"!=typeof a||a){if("string"==typeof a&&a.match(/^\s+$/))return e.length>0&&(e[e.length-1].spaceAfter=!0),void(f=!0);var d="string"==typeof a?{text:a}:a,h=null;void 0!==d.attach?h=d.attach:b&&(h=c(d.text,g%2==0)),'"'===d.text&&g++,e.push({text:String(d.text),spaceBefore:Boolean(f||d.spaceBefore),spaceAfter:Boolean(d.spaceAfter),attach:h}),f=!1}}),b?d(e):e}function g(a,b){for(var c=new Intl.Segmenter(void 0,{granularity:b}),d=[],e=c.segment(a)[Symbol.iterator](),f=e.next();!f.done;f=e.next())d.push(f.value.segment);return d}function h(){return"undefined"!=typeof Intl&&"function"==typeof Intl.Segmenter}function i(a){if(!a||"string"!=typeof a)throw"rawSentence must be a string.";return h()?f(g(a,"word"),!0):e(a)}function j(a){if(!a||"string"!=typeof a)throw"rawSentence must be a string.";return f(a.match(/\s+|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g))}function k(a){if(!a||"string"!=typeof a)throw"rawSentence must be a string.";var b;if(h())b=g(a,"grapheme");else{var c="(?:[\\uD800-\\uDBFF][\\uDC00-\\uDFFF]|[^\\uD800-\\uDFFF])",d="[\\u0300-\\u036F\\u1AB0-\\u1AFF\\u1DC0-\\u1DFF\\u20D0-\\u20FF\\uFE0E\\uFE0F\\uFE20-\\uFE2F]|\\uD83C[\\uDFFB-\\uDFFF]",e=c+"(?:"+d+")*(?:\\u200D"+c+"(?:"+d+")*)*";b=a.match(new RegExp("\\s+|"+e+"|[\\s\\S]","g"))}return f(b)}function l(a){return"string"==typeof a?a:(a.open||"")+a.text}function m(a){return a.map(function(a){return a.text+(a.spaceAfter?" ":"")}).join("")}function n(a){if("string"==typeof a)return{text:a};if(!a||"string"!=typeof a.text)throw"Each sentence must be a string or an object with text.";return a}function o(a,b){for(var c=0;c<a.length;c++)if(n(a[c]).text===b)return c;return-1}function p(a){var b="string"==typeof a?a:a.text,c=b.match(/[A-Za-z\u00C0-\u02B8\u0370-\u058F\u0900-\u1FFF\u2C00-\uD7FF\uF900-\uFB1C]|[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/);return c?c[0].match(/[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/)?"rtl":"ltr":null}function q(a,b){return l(a)===l(b)&&Boolean(a.spaceAfter)===Boolean(b.spaceAfter)}function r(a){return a.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;")}function s(a){var b={amp:"&",lt:"<",gt:">",quot:'"',apos:"'",nbsp:" "};return a.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi,function(a,c){if("#"===c.charAt(0)){var d="x"===c.charAt(1).toLowerCase()?parseInt(c.slice(2),16):parseInt(c.slice(1),10);return d>1114111||d>=55296&&d<=57343?a:d>65535?(d-=65536,String.fromCharCode(55296+(d>>10),56320+(1023&d))):String.fromCharCode(d)}return b.hasOwnProperty(c.toLowerCase())?b[c.toLowerCase()]:a})}function t(a,b){for(var c,d,e,f="<"+a,g=/([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;null!==(c=g.exec(b));)if(d=c[1].toLowerCase(),e=s(c[2]||c[3]||c[4]||""),-1!==H[a].indexOf(d)){if("href"===d){var h=e.replace(/[\u0000-\u0020]/g,"");if(h.match(/^[a-z][a-z0-9+.\-]*:/i)&&!h.match(/^(https?|mailto):/i))continue}"class"===d&&(e=e.split(/\s+/).filter(function(a){return a.match(/^[\w\-]+$/)}).join(" ")),f+=" "+d+'="'+r(e)+'"'}return f+">"}function u(a,b){if(!a||"string"!=typeof a)throw"rawSentence must be a string.";for(var c,e=[],f=[],g=/<(\/?)([a-z]+)([^>]*)>/gi,h=0,i=function(a){var c=s(a);if(c){var d=b(c),g=e[e.length-1];g&&c.match(/^\s/)&&(g.spaceAfter=!0),g&&d.length>0&&g.spaceAfter&&(d[0].spaceBefore=!0);var h=f.map(function(a){return a.tag}).join(""),i=f.slice().reverse().map(function(a){return"</"+a.name+">"}).join("");d.forEach(function(a){a.open=h,a.close=i,e.push(a)})}};null!==(c=g.exec(a));){i(a.slice(h,c.index)),h=c.index+c[0].length;var j=c[2].toLowerCase();if(H.hasOwnProperty(j))if(c[1]){for(var k=f.length-1;k>=0;k--)if(f[k].name===j){f=f.slice(0,k);break}}else f.push({name:j,tag:t(j,c[3])})}return i(a.slice(h)),d(e)}function v(a,b){if(!a||!b||a.length!==b.length)return!1;for(var c=0;c<a.length;c++)if(!q(a[c],b[c]))return!1;return!0}function w(a){return h()?g(a,"grapheme"):a.split("")}function x(a,b){b=b||{};var c=b.granularity||"word",d=b.markup||"text";if(!a||"object"!=typeof a)throw"rawSentences must be an array of sentences.";var e=a.map(function(a){return n(a).text}),f={word:y(b.tokenizer||"default"),char:j,grapheme:k},g=f[c];if(!f.hasOwnProperty(c))throw"Unknown granularity: "+c;if("rich"===d)return e.map(function(a){return u(a,g)});if("text"!==d)throw"Unknown markup: "+d;return e.map(g)}function y(a){var b={default:i,legacy:e};if("function"==typeof a)return function(b){var c=a(b);if(!c||"object"!=typeof c||void 0===c.length)throw"tokenizer must return an array.";return f(Array.prototype.slice.call(c),!0)};if(!b.hasOwnProperty(a))throw"Unknown tokenizer: "+a;return b[a]}function z(a,c){var d,e,f={from:a,to:c,sub:[],remove:[],insert:[],keep:[],move:[],cost:0},g=a.map(l),h=c.map(l),i=[];for(d=a.length;d>=0;d--)for(i[d]=[],e=c.length;e>=0;e--)d===a.length?i[d][e]=c.length-e:e===c.length?i[d][e]=a.length-d:g[d]===h[e]?i[d][e]=i[d+1][e+1]:i[d][e]=1+Math.min(i[d+1][e+1],i[d+1][e],i[d][e+1]);for(d=0,e=0;d<a.length||e<c.length;)d<a.length&&e<c.length&&g[d]===h[e]?(f.keep.push({fromWord:a[d],toWord:c[e],fromIndex:d,toIndex:e}),d++,e++):d<a.length&&e<c.length&&i[d][e]===i[d+1][e+1]+1?(f.sub.push({fromWord:a[d],toWord:c[e],fromIndex:d,toIndex:e}),d++,e++):d<a.length&&(e===c.length||i[d][e]===i[d+1][e]+1)?(f.remove.push({fromWord:a[d],fromIndex:d}),d++):(f.insert.push({toWord:c[e],toIndex:e}),e++);return f.cost=i[0][0],b(f)}function A(b,c){c=c||{};var d,e,f,g=[];if(0===b.length)return g;if(1===b.length)return g.push(z(b[0],b[0])),g;if(c.best){var h=b.map(function(a,c){return b.map(function(a,d){return c===d?{action:{cost:Number.MAX_VALUE},fromIndex:c,toIndex:d}:{action:z(b[c],b[d]),fromIndex:c,toIndex:d}})}),i=[],j=[];h.forEach(function(b){b.sort(a),j[b[0].fromIndex]=b}),h.sort(function(a,b){return a[0].action.cost-b[0].action.cost});var k=h[0][0].fromIndex,l=k;for(d=0;d<b.length;d++)for(e=0;e<b.length;e++)if(d===b.length-1&&j[l][e].toIndex===k||d!==b.length-1&&-1===i.indexOf(j[l][e].toIndex)){g.push(j[l][e].action),i.push(l),l=j[l][e].toIndex;break}if(c.random){var m=Math.floor(Math.random()*b.length);for(d=0;d<m;d++)g.push(g.shift())}}else for(c.random&&b.sort(function(){return.5-Math.random()}),d=0;d<b.length;d++)f=0===d?b.length-1:d-1,g.push(z(b[f],b[d]));return g}function B(a,b,c){var d=x([a,b],c);return z(d[0],d[1])}function C(a,b){b=b||{};var c=x(a,b),d=A(c.slice(),{best:void 0===b.best||b.best,random:b.random});return{sentences:c,order:d.map(function(a){return c.indexOf(a.to)}),actions:d,cost:d.reduce(function(a,b){return a+b.cost},0)}}function D(a){var b=function(a){return[a.fromIndex,a.toIndex]};return{version:I,sentences:a.sentences.map(m),order:a.order.slice(),actions:a.actions.map(function(c){return{from:a.sentences.indexOf(c.from),to:a.sentences.indexOf(c.to),keep:c.keep.map(b),sub:c.sub.map(b),remove:c.remove.map(function(a){return a.fromIndex}),insert:c.insert.map(function(a){return a.toIndex}),move:c.move.map(b)}})}}function E(a,b){return"number"==typeof a&&a%1==0&&a>=0&&a<b}function F(a,b){var c,d=a;if("string"==typeof a)try{d=JSON.parse(a)}catch(i){return null}if(!(d&&d.version===I&&Array.isArray(d.sentences)&&Array.isArray(d.actions)&&Array.isArray(d.order)))return null;if(d.sentences.length!==b.length||d.actions.length!==b.length||d.order.length!==b.length)return null;var e=b.map(function(){return!1});for(c=0;c<b.length;c++){var f=d.actions[c],g=d.actions[0===c?b.length-1:c-1];if(!(d.sentences[c]===m(b[c])&&f&&"object"==typeof f&&g&&E(f.from,b.length)&&E(f.to,b.length)&&f.from===g.to&&f.to===d.order[c]&&!1===e[f.to]))return null;e[f.to]=!0}var h=[];return d.actions.every(function(a){var c=b[a.from],d=b[a.to];if(!["keep","sub","remove","insert","move"].every(function(b){return Array.isArray(a[b])}))return!1;var e={from:c,to:d,sub:[],remove:[],insert:[],keep:[],move:[]},f=c.map(function(){return!1}),g=d.map(function(){return!1}),i=function(a,b){return!(!E(b,a.length)||a[b])&&(a[b]=!0,!0)},j=function(b,h){return a[b].every(function(a){return!(!(Array.isArray(a)&&2===a.length&&i(f,a[0])&&i(g,a[1]))||h&&l(c[a[0]])!==l(d[a[1]]))&&(e[b].push({fromWord:c[a[0]],toWord:d[a[1]],fromIndex:a[0],toIndex:a[1]}),!0)})};return!!(j("keep",!0)&&j("sub",!1)&&j("move",!0)&&a.remove.every(function(a){return!!i(f,a)&&(e.remove.push({fromWord:c[a],fromIndex:a}),!0)})&&a.insert.every(function(a){return!!i(g,a)&&(e.insert.push({toWord:d[a],toIndex:a}),!0)})&&-1===f.indexOf(!1)&&-1===g.indexOf(!1))&&(e.cost=e.sub.length+e.remove.length+e.insert.length+e.move.length,h.push(e),!0)})?h:null}function G(a,b){b=b||"ltr";var c=a.map(p),d=c.map(function(a,d){if(a)return a;var e,f=null,g=null;for(e=d-1;e>=0&&!f;e--)f=c[e];for(e=d+1;e<c.length&&!g;e++)g=c[e];return f&&f===g?f:b}),e=[],f=[];return d.forEach(function(a,c){a===b?(e=e.concat(f,[c]),f=[]):f.unshift(c)}),e.concat(f)}var H={b:[],strong:[],em:[],i:[],a:["href"],span:["class"]},I=1;return{parseSentence:e,parseWords:i,parseCharacters:j,parseGraphemes:k,parseMarkup:u,parseSentences:x,wordParser:y,sentenceOptions:n,sentenceText:m,indexOfText:o,tokenKey:l,tokenDirection:p,sameToken:q,sameSentence:v,escapeHTML:r,characters:w,computeActions:z,planActions:A,diff:B,plan:C,serializePlan:D,loadPlan:F,visualOrder:G}}),function(a,b){"use strict";function c(){var a,b=document.createElement("fakeelement"),c={WebkitTransition:"webkitTransitionEnd",MozTransition:"transitionend",MSTransition:"msTransitionEnd",OTransition:"otransitionend",transition:"transitionend"};for(a in c)if(c.hasOwnProperty(a)&&void 0!==b.style[a])return c[a]}function d(a){return a.offsetWidth}function e(a){return'<div class="'+a+'-word" aria-hidden="true"><span class="'+a+'-visible" style="opacity: 0"></span><span class="'+a+'-invisible" style="width: 0px"></span></div>'}function f(b){var c=a.getComputedStyle(b).lineHeight;if(c&&c.match(/px$/))return c;var d=document.createElement("div");d.textContent="x",b.appendChild(d);var e=d.offsetHeight;return b.removeChild(d),e+"px"}function g(a){return"@font-face {\n    font-family: "+a+"-empty;\n    src: url(data:application/font-woff;charset=utf-8;base64,d09GRk9UVE8AAAQ0AAoAAAAAA+wAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAABDRkYgAAAA9AAAAJ4AAACeXQ48j09TLzIAAAGUAAAAYAAAAGAIIgbWY21hcAAAAfQAAABEAAAARAAyAGlnYXNwAAACOAAAAAgAAAAIAAAAEGhlYWQAAAJAAAAANgAAADb9mzB5aGhlYQAAAngAAAAkAAAAJAHiAeVobXR4AAACnAAAABAAAAAQAAAAAG1heHAAAAKsAAAABgAAAAYABFAAbmFtZQAAArQAAAFdAAABXVqZXRlwb3N0AAAEFAAAACAAAAAgAAMAAAEABAQAAQEBDHNwYWNlLWVtcHR5AAECAAEAOvgcAvgbA/gYBB4KABlT/4uLHgoAGVP/i4sMB4tr+JT4dAUdAAAAfA8dAAAAgREdAAAACR0AAACVEgAFAQEMFxkbHnNwYWNlLWVtcHR5c3BhY2UtZW1wdHl1MHUxdTIwAAACAYkAAgAEAQEEBwoN/JQO/JQO/JQO/JQO+JQU+JQViwwKAAAAAwIAAZAABQAAAUwBZgAAAEcBTAFmAAAA9QAZAIQAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAABAAAAAIAHg/+D/4AHgACAAAAABAAAAAAAAAAAAAAAgAAAAAAACAAAAAwAAABQAAwABAAAAFAAEADAAAAAIAAgAAgAAAAEAIP/9//8AAAAAACD//f//AAH/4wADAAEAAAAAAAAAAAABAAH//wAPAAEAAAABAAAAeR2GXw889QALAgAAAAAAzz54vgAAAADPPni+AAAAAAAAAAAAAAAIAAIAAAAAAAAAAQAAAeD/4AAAAgAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAABQAAAEAAAAAAAOAK4AAQAAAAAAAQAWAAAAAQAAAAAAAgAOAGMAAQAAAAAAAwAWACwAAQAAAAAABAAWAHEAAQAAAAAABQAWABYAAQAAAAAABgALAEIAAQAAAAAACgAoAIcAAwABBAkAAQAWAAAAAwABBAkAAgAOAGMAAwABBAkAAwAWACwAAwABBAkABAAWAHEAAwABBAkABQAWABYAAwABBAkABgAWAE0AAwABBAkACgAoAIcAcwBwAGEAYwBlAC0AZQBtAHAAdAB5AFYAZQByAHMAaQBvAG4AIAAxAC4AMABzAHAAYQBjAGUALQBlAG0AcAB0AHlzcGFjZS1lbXB0eQBzAHAAYQBjAGUALQBlAG0AcAB0AHkAUgBlAGcAdQBsAGEAcgBzAHAAYQBjAGUALQBlAG0AcAB0AHkARwBlAG4AZQByAGEAdABlAGQAIABiAHkAIABJAGMAbwBNAG8AbwBuAAAAAAMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=) format('woff');\n}\n."+a+"-invisible { visibility: hidden; }\n."+a+" ."+a+"-live {\n  position: absolute;\n  width: 1px;\n  height: 1px;\n  margin: -1px;\n  padding: 0;\n  border: 0;\n  overflow: hidden;\n  clip: rect(0 0 0 0);\n  white-space: nowrap; }\n."+a+" {\n  position: relative;\n  font-family: "+a+"-empty;\n  margin: 0;}\n."+a+":after {\n  content: ' ';\n  display: block;\n  clear: both;}\n."+a+"-text-width-calculation {\n  position: absolute;\n  visibility: hidden;\n  height: auto;\n  width: auto;\n  display: inline-block;\n  white-space: nowrap; }\n."+a+"-height-calculation {\n  position: absolute;\n  visibility: hidden;\n  box-sizing: content-box;\n  height: auto;\n  padding: 0;\n  border: 0; }\n  ."+a+" ."+a+"-old-content {\n    position: absolute;\n    left: 0;\n    width: 100%;\n    top: 0;\n    height: 100%;\n  }\n  ."+a+"."+a+"-loaded ."+a+"-old-content {    display: none;  }\n  ."+a+"."+a+"-loaded ."+a+"-word {    opacity: 1;  }\n  ."+a+" ."+a+"-word."+a+"-moving { overflow: visible; }\n  ."+a+" ."+a+"-word."+a+"-moving ."+a+"-visible { right: auto; }\n  ."+a+"."+a+"-rtl ."+a+"-old-content { left: auto; right: 0; }\n  ."+a+"."+a+"-rtl ."+a+"-word { float: right; }\n  ."+a+"."+a+"-rtl ."+a+"-word."+a+"-moving ."+a+"-visible { left: auto; right: 0; }\n  ."+a+" ."+a+"-word {\n    display: inline-block;\n    position: relative;\n    float: left;\n    opacity: 0;\n    text-align: center;\n    white-space: nowrap;\n    overflow: hidden;}\n    ."+a+" ."+a+"-word > span {\n      top: 0;\n      position: relative;\n      overflow: hidden;\n      height: 1px;\n      display: inline-block;}\n      ."+a+" ."+a+"-word ."+a+"-visible {\n        position: absolute;\n        display: inline-block;\n        top: 0;\n        bottom: 0;\n        right:0;\n        left: 0;}\n"}function h(a,b,c,d,e,f){var g="."+b;return g+" ."+a+"-animating {\n  -webkit-transition: "+c+"s all "+d+";\n  -moz-transition: "+c+"s all "+d+";\n  -o-transition: "+c+"s all "+d+";\n  transition: "+c+"s all "+d+"; }\n"+g+"."+a+"-wrap {\n  -webkit-transition: "+c+"s height "+d+";\n  -moz-transition: "+c+"s height "+d+";\n  -o-transition: "+c+"s height "+d+";\n  transition: "+c+"s height "+d+"; }\n"+g+"."+a+"-text-width-calculation { font-family: "+f+"; }\n"+g+" ."+a+"-old-content { font-family: "+f+"; }\n"+g+" ."+a+"-word {\n  font-family: "+f+";\n  height: "+e+"; }\n"+g+" ."+a+"-word ."+a+"-visible { height: "+e+"; }\n"}function i(a,b){for(var c=0;c<D.length;c++)if(D[c].root===a&&D[c].namespace===b)return D[c];return null}function j(a,b,c,d){var e=i(a,b);if(!e){var f=document.createElement("style");f.type="text/css",a===document?(document.head||document.getElementsByTagName("head")[0]).appendChild(f):a.appendChild(f),e={root:a,namespace:b,element:f,instances:{},count:0},D.push(e)}e.instances.hasOwnProperty(c)||e.count++,e.instances[c]=d,l(e)}function k(a,b,c){var d=i(a,b);d&&d.instances.hasOwnProperty(c)&&(delete d.instances[c],d.count--,0===d.count?(d.element.parentNode.removeChild(d.element),D.splice(D.indexOf(d),1)):l(d))}function l(a){var b=g(a.namespace);for(var c in a.instances)a.instances.hasOwnProperty(c)&&(b+=a.instances[c]);a.element.styleSheet?a.element.styleSheet.cssText=b:a.element.textContent=b}function m(a,b){var c;if(a)if("string"==typeof a){if(!(c=document.querySelector(a)))throw"Cannot find element matching:"+a}else{if(1!==a.nodeType)throw"container must be an element or a selector.";c=a}else if(!(c=document.getElementById(b)))throw"Cannot find element with id:"+b;return c}function n(a){var b=a.getRootNode?a.getRootNode():document;return"undefined"!=typeof ShadowRoot&&b instanceof ShadowRoot?b:document}function o(a){if("auto"!==a&&"number"!=typeof a)throw"Unknown interval: "+a}function p(b,c){var d=this,e=c||{};d.settings={containerId:e.containerId||"sub",container:e.container||null,namespace:e.namespace||"sub",interval:e.interval||5e3,speed:e.speed||200,easing:e.easing||"linear",durations:e.durations||{},stagger:e.stagger||0,mobileWidth:e.mobileWidth||null,readingSpeed:e.readingSpeed||200,verbose:void 0!==e.verbose&&e.verbose,random:void 0!==e.random&&e.random,best:void 0===e.best||e.best,plan:e.plan||null,clearOriginalContent:void 0===e.clearOriginalContent||e.clearOriginalContent,granularity:e.granularity||"word",tokenizer:e.tokenizer||"default",markup:e.markup||"text",direction:e.direction||"auto",layout:e.layout||"line",ariaLive:e.ariaLive||"off",effect:e.effect||"fade",driver:e.driver||"auto",reducedMotion:void 0!==e.reducedMotion?e.reducedMotion:"auto",pauseOnHover:void 0!==e.pauseOnHover&&e.pauseOnHover,pauseOnFocus:void 0!==e.pauseOnFocus&&e.pauseOnFocus,pauseOnHidden:void 0===e.pauseOnHidden||e.pauseOnHidden,pauseOnOffscreen:void 0!==e.pauseOnOffscreen&&e.pauseOnOffscreen,_testing:void 0!==e._testing&&e._testing};var g=d.settings.durations,i=d.settings.speed;d.settings.durations={hide:void 0!==g.hide?g.hide:i,resize:void 0!==g.resize?g.resize:i,show:void 0!==g.show?g.show:i},d.wrapper=m(d.settings.container,d.settings.containerId),d.root=n(d.wrapper);var k=a.getComputedStyle(d.wrapper);if(d.direction=d.settings.direction,"auto"===d.direction&&(d.direction="rtl"===k.direction?"rtl":"ltr"),"ltr"!==d.direction&&"rtl"!==d.direction)throw"Unknown direction: "+d.direction;if(-1===["off","polite","assertive"].indexOf(d.settings.ariaLive))throw"Unknown ariaLive: "+d.settings.ariaLive;o(d.settings.interval),["sub","insert","remove"].forEach(function(a){d._effectFor(a)}),d.driver=t(d.settings.driver);var l=k.height;if("wrap"===d.settings.layout)l=f(d.wrapper);else if("line"!==d.settings.layout)throw"Unknown layout: "+d.settings.layout;return E++,d.instanceClass=d.settings.namespace+"-instance-"+E,j(d.root,d.settings.namespace,d.instanceClass,h(d.settings.namespace,d.instanceClass,d.settings.speed/1e3,d.settings.easing,l,k.fontFamily)),d.root!==document&&j(document,d.settings.namespace,d.instanceClass,""),d.loopTimer=null,d.timers=[],d.animations=[],d.isPaused=!1,d.currentState=null,d.actions=[],d.rawSentences=[],d.sentences=[],d.sentenceOptions=[],d.sentenceClass="",d.currentSentence=[],d.words=[],d.isEmpty=!0,d.handlers={},d.changeCount=0,d.loopCount=0,d.pauseReasons={},d.pauseListeners=[],d.observer=null,d._setupContainer(),d.settings._testing||d.setSentences(b),d}function q(a,b,c){var d={};for(var e in a)a.hasOwnProperty(e)&&(d[e]=a[e]);return d.text=b.slice(0,c).join(""),d.spaceAfter=c===b.length&&a.spaceAfter,d}function r(a){var b="up"===a?"-100%":"100%",c="up"===a?"100%":"-100%";return{hide:function(a){a.transition(a.ctx.visible,"transform","translateY("+b+")")},show:function(a){var b=a.ctx.visible;a.render(b,a.ctx.newText),b.style.transform="translateY("+c+")",b.style.opacity=1,a.transition(b,"transform","translateY(0)")}}}function s(a){a.elem.removeEventListener(a.event,a.listener,!1),a.sub._clearTimeout(a.timer),a.elem.className=a.elem.className.replace(a.animatingClass,""),a.elem.style.transitionDuration=""}function t(a){if("auto"===a&&(a="function"==typeof document.documentElement.animate?"web":"css"),!H.hasOwnProperty(a))throw"Unknown driver: "+a;return H[a]}function u(a,b,c){var d=this;d.sub=b,d.type=a,d.ctx=c,d.animatingClass=" "+d.sub.settings.namespace+"-animating",d.effect=d.sub._effectFor(a),d.runs=[],d.styled=[],d.duration=d.sub.settings.speed,d.timer=null,d.isPaused=!1,d.isDone=!1,d.sub.animations.push(d),"remove"===a?d.steps=[d._hide,d._setWidth,d._removeElement]:"sub"===a?d.steps=[d._hide,d._setWidth,d._show,d._cleanUp]:"insert"===a?d.steps=[d._setWidth,d._show,d._cleanUp]:"keep"===a?d.steps=c.respace?[d._setText]:[]:"vanish"===a?d.steps=[d._hide,d._removeElement]:"appear"===a?d.steps=[d._show,d._cleanUp]:"move"===a?d.steps=[d._slide,d._cleanUp]:console.error("Unknown animation: ",a),c.delay?d.later(function(){d.next()},c.delay):d.next()}function v(){var a=Reflect.construct(HTMLElement,[],this.constructor);return a._sub=null,a._sentences=null,a._childSentences=null,a._inert=!1,a}if(!b)throw"substituteteacher-core.js must be loaded before substituteteacher.js.";var w=b.sameToken,x=b.sameSentence,y=b.sentenceText,z=b.sentenceOptions,A=b.indexOfText,B=b.escapeHTML,C=b.characters,D=[],E=0;p.prototype.on=function(a,b){var c=this;if("function"!=typeof b)throw"handler must be a function.";return(c.handlers[a]=c.handlers[a]||[]).push(b),c},p.prototype.off=function(a,b){var c=this;return c.handlers[a]?b?(c.handlers[a]=c.handlers[a].filter(function(a){return a!==b}),c):(delete c.handlers[a],c):c},p.prototype._emit=function(a,b){var c=this;c.settings.verbose&&console.log("_emit",a,b),(c.handlers[a]||[]).slice().forEach(function(a){a.call(c,b)})},p.prototype.setSentences=function(a){var b=this,c=a.map(z);c.forEach(function(a){void 0!==a.interval&&o(a.interval)}),b.sentences=b._parseSentences(a),b.sentenceOptions=c,b.rawSentences=a.slice(),b._setSentences(b.sentences.slice()),b.changeCount=0;for(var d=0;d<b.actions.length&&!x(b.actions[0].from,b.currentSentence);d++)b.actions.push(b.actions.shift());return b},p.prototype.addSentence=function(a,b){var c=this,d=c.rawSentences.slice();return void 0===b&&(b=d.length),d.splice(b,0,a),c.setSentences(d)},p.prototype.removeSentence=function(a){var b=this,c=b.rawSentences.slice(),d="string"==typeof a?A(c,a):a;if(d<0||d>=c.length)throw"Cannot find sentence: "+a;return c.splice(d,1),b.setSentences(c)},p.prototype._parseSentences=function(a){var c=this;return b.parseSentences(a,{granularity:c.settings.granularity,tokenizer:c.settings.tokenizer,markup:c.settings.markup})},p.prototype._wordParser=function(){var a=this;return b.wordParser(a.settings.tokenizer)},p.prototype._renderToken=function(a,b){var c=this;if(!b)return void(a.textContent="");var d=b.spaceAfter?" ":"";"rich"===c.settings.markup?a.innerHTML=(b.open||"")+B(b.text)+(b.close||"")+d:a.textContent=b.text+d},p.prototype._setupContainer=function(){var b=this,c=b.wrapper,d=a.getComputedStyle(c);b.original={className:c.className,height:c.style.height,width:c.style.width},c.style.height=d.height,b.settings.clearOriginalContent?c.innerHTML="":(c.style.width=d.width,c.innerHTML='<span class="'+b.settings.namespace+'-old-content">'+c.innerHTML.replace(" ","&nbsp;")+"</span>"),c.className=b.settings.namespace+" "+b.instanceClass,"rtl"===b.direction&&(c.className+=" "+b.settings.namespace+"-rtl"),"wrap"===b.settings.layout&&(c.className+=" "+b.settings.namespace+"-wrap"),b.liveRegion=document.createElement("span"),b.liveRegion.className=b.settings.namespace+"-live",b.liveRegion.setAttribute("aria-live",b.settings.ariaLive),b.liveRegion.setAttribute("aria-atomic","true"),c.appendChild(b.liveRegion)},p.prototype._reducedMotion=function(){var b=this;return"auto"!==b.settings.reducedMotion?Boolean(b.settings.reducedMotion):Boolean(a.matchMedia&&a.matchMedia("(prefers-reduced-motion: reduce)").matches)},p.prototype._getOnResize=function(){var b=this;return b.isStopped=!1,function(c){b.lastWindowWidth=a.innerWidth,"wrap"!==b.settings.layout||b.isEmpty||(b.wrapper.style.height=b._measureHeight(b.currentSentence)+"px"),null!==b.settings.mobileWidth&&(!b.isStopped&&b.lastWindowWidth<b.settings.mobileWidth?(b._stop(),b.isStopped=!0):b.isStopped&&b.lastWindowWidth>b.settings.mobileWidth&&(b._run(),b.isStopped=!1))}},p.prototype._run=function(){var a=this;if(!a.actions)return void setTimeout(function(){a.run()},20);if(a.isEmpty&&a.actions.length>0){var b=a._computeActionsToChange([],a.actions[0].from);if(!b)throw console.log(b),"returned null action";a._applyAction(b,!1)}a.loopTimer=a._setTimeout(function(){a._markLoaded(),a._sentenceLoop()},a._intervalFor(a.currentSentence))},p.prototype._markLoaded=function(){var a=this,b=a.settings.namespace+"-loaded";-1===(" "+a.wrapper.className+" ").indexOf(" "+b+" ")&&(a.wrapper.className+=" "+b,"wrap"!==a.settings.layout&&(a.wrapper.style.height=""))},p.prototype._measureHeight=function(b){var c=this,d=c.settings.namespace,e=a.getComputedStyle(c.wrapper),f=parseFloat(e.paddingLeft)+parseFloat(e.paddingRight),g=document.createElement(c.wrapper.tagName);g.className=c.wrapper.className+" "+d+"-height-calculation",g.style.width=c.wrapper.clientWidth-(f||0)+"px",c._visualOrder(b).forEach(function(a){var e=document.createElement("div"),f=document.createElement("span");e.className=d+"-word",f.className=d+"-invisible",c._renderToken(f,b[a]),e.appendChild(f),g.appendChild(e)}),(c.wrapper.parentNode||document.body).appendChild(g);var h=g.offsetHeight;return g.parentNode.removeChild(g),"border-box"===e.boxSizing&&(h+=c.wrapper.offsetHeight-c.wrapper.clientHeight+parseFloat(e.paddingTop)+parseFloat(e.paddingBottom)),h},p.prototype.run=function(){var b=this;return b.onResize=b._getOnResize(),a.addEventListener("resize",b.onResize,!1),a.addEventListener("orientationchange",b.onResize,!1),b._emit("start",{}),b._addPauseListeners(),b._run(),b},p.prototype._stop=function(){var a=this,b=a.timers,c={};["hover","focus","hidden","offscreen"].forEach(function(b){a.pauseReasons[b]&&(c[b]=!0)}),a.pauseReasons=c,a.isPaused=Object.keys(c).length>0,a.timers=[],a.loopTimer=null,b.forEach(function(a){clearTimeout(a.id)}),b.forEach(function(a){a.flush&&a.fn()}),a.animations.slice().forEach(function(a){a.finish()})},p.prototype.pause=function(){return this._pauseFor("manual")},p.prototype.resume=function(){return this._resumeFor("manual")},p.prototype._pauseFor=function(a){var b=this;return b.pauseReasons[a]=!0,b.isPaused?b:(b.isPaused=!0,b.timers.forEach(function(a){clearTimeout(a.id),a.remaining=Math.max(0,a.delay-(Date.now()-a.start))}),b.animations.forEach(function(a){a.pause()}),b._emit("pause",{reason:a}),b)},p.prototype._resumeFor=function(a){var b=this;return delete b.pauseReasons[a],!b.isPaused||Object.keys(b.pauseReasons).length>0?b:(b.isPaused=!1,b.timers.forEach(function(a){b._startTimer(a,a.remaining)}),b.animations.forEach(function(a){a.resume()}),b._emit("resume",{reason:a}),b)},p.prototype._addPauseListeners=function(){var b=this,c=function(a,c,d){a.addEventListener(c,d,!1),b.pauseListeners.push({target:a,type:c,handler:d})};if(b._removePauseListeners(),b.settings.pauseOnHover&&(c(b.wrapper,"mouseenter",function(){b._pauseFor("hover")}),c(b.wrapper,"mouseleave",function(){b._resumeFor("hover")})),b.settings.pauseOnFocus&&(c(b.wrapper,"focusin",function(){b._pauseFor("focus")}),c(b.wrapper,"focusout",function(a){a.relatedTarget&&b.wrapper.contains(a.relatedTarget)||b._resumeFor("focus")})),b.settings.pauseOnHidden&&void 0!==document.visibilityState){var d=function(){"hidden"===document.visibilityState?b._pauseFor("hidden"):b._resumeFor("hidden")};c(document,"visibilitychange",d),d()}b.settings.pauseOnOffscreen&&a.IntersectionObserver&&(b.observer=new a.IntersectionObserver(function(a){a[a.length-1].isIntersecting?b._resumeFor("offscreen"):b._pauseFor("offscreen")}),b.observer.observe(b.wrapper))},p.prototype._removePauseListeners=function(){var a=this;a.pauseListeners.forEach(function(a){a.target.removeEventListener(a.type,a.handler,!1)}),a.pauseListeners=[],a.observer&&(a.observer.disconnect(),a.observer=null)},p.prototype._setTimeout=function(a,b,c){var d=this,e={id:null,fn:a,delay:b,start:Date.now(),remaining:b,flush:c||!1};return d.timers.push(e),d.isPaused||d._startTimer(e,b),e},p.prototype._startTimer=function(a,b){var c=this;a.start=Date.now(),a.delay=b,a.id=setTimeout(function(){c._clearTimeout(a),a.fn()},b)},p.prototype._clearTimeout=function(a){var b=this;if(a){clearTimeout(a.id);var c=b.timers.indexOf(a);-1!==c&&b.timers.splice(c,1)}},p.prototype.stop=function(){var b=this;return a.removeEventListener("resize",b.onResize,!1),a.removeEventListener("orientationchange",b.onResize,!1),b._removePauseListeners(),b.pauseReasons={},b._stop(),b._emit("stop",{}),b},p.prototype.destroy=function(){var a=this;return a.stop(),a.wrapper.textContent=y(a.currentSentence),a.words=[],a.wrapper.className=a.original.className,a.wrapper.style.height=a.original.height,a.wrapper.style.width=a.original.width,k(a.root,a.settings.namespace,a.instanceClass),k(document,a.settings.namespace,a.instanceClass),a.handlers={},a},p.prototype._computeActionsToChange=function(a,c){return this.settings.verbose&&console.log("_computeActionsToChange: ",a,c),b.computeActions(a,c)},p.prototype._setSentences=function(a){var c=this;if(c.settings.plan){var d=b.loadPlan(c.settings.plan,a);if(d)return void(c.actions=d);c.settings.verbose&&console.log("_setSentences: the plan does not fit the sentences")}c.actions=b.planActions(a,{best:c.settings.best,random:c.settings.random})},p.diff=function(a,c,d){return b.diff(a,c,d)},p.plan=function(a,c){return b.plan(a,c)},p.serializePlan=function(a){return b.serializePlan(a)},p.prototype.next=function(){var a=this;if(0===a.actions.length)return a;var b=a.actions.shift();return a.actions.push(b),a.changeCount++,a._navigate(b),a},p.prototype.prev=function(){var a=this;if(0===a.actions.length)return a;var b=a.actions[a.actions.length-1];return a.actions.unshift(a.actions.pop()),a.changeCount=Math.max(0,a.changeCount-1),a._navigate(a._computeActionsToChange(a.currentSentence,b.from)),a},p.prototype.goTo=function(a){var b=this,c="string"==typeof a?A(b.rawSentences,a):a;if(c<0||c>=b.sentences.length)throw"Cannot find sentence: "+a;for(var d=b.sentences[c],e=0;e<b.actions.length&&!x(b.actions[0].from,d);e++)b.actions.push(b.actions.shift());return b._navigate(b._computeActionsToChange(b.currentSentence,d)),b},p.prototype.current=function(){var a=this,b=a._indexOfSentence(a.currentSentence);return-1===b?null:{index:b,text:a.sentenceOptions[b].text}},p.prototype._indexOfSentence=function(a){for(var b=this,c=0;c<b.sentences.length;c++)if(x(b.sentences[c],a))return c;return-1},p.prototype._optionsFor=function(a){var b=this,c=b._indexOfSentence(a);return-1===c?{}:b.sentenceOptions[c]},p.prototype._intervalFor=function(a){var b=this,c=b._optionsFor(a).interval;if(void 0===c&&(c=b.settings.interval),"auto"===c){var d=y(a).length/5;return 1e3+Math.round(d/b.settings.readingSpeed*6e4)}return c},p.prototype._navigate=function(a){var b=this;b._markLoaded(),b._changeTo(a,!1),b.loopTimer&&(b._clearTimeout(b.loopTimer),b.loopTimer=b._setTimeout(function(){b._sentenceLoop()},b._intervalFor(b.currentSentence)))},p.prototype._changeTo=function(a,b){var c=this;x(a.from,c.currentSentence)||(a=c._computeActionsToChange(c.currentSentence,a.to)),c._applyAction(a,b)},p.prototype._sentenceLoop=function(){var a=this
+;if(a.actions.length>0){var b=a.actions.shift();a.actions.push(b),a.changeCount++;var c=a.changeCount>=a.actions.length;c&&(a.changeCount=0,a.loopCount++),a._changeTo(b,c)}a._clearTimeout(a.loopTimer),a.loopTimer=a._setTimeout(function(){a._sentenceLoop()},a._intervalFor(a.currentSentence))},p.prototype._applyAction=function(b,c){var d=this;d._finishAnimations();var e={action:b,completesLoop:c,fromWords:d.words,pending:b.sub.length+b.remove.length+b.keep.length+b.insert.length+b.move.length};if(d.words=[],d.currentSentence=b.to,d.isEmpty=!1,e.options=d._optionsFor(b.to),d._setSentenceClass(e.options.className||""),d._emit("beforeChange",{from:b.from,to:b.to,action:b,data:e.options.data}),d.liveRegion.textContent=y(b.to),"wrap"===d.settings.layout&&(e.height=d._measureHeight(b.to),e.height>parseFloat(a.getComputedStyle(d.wrapper).height)&&(d.wrapper.style.height=e.height+"px")),d._reducedMotion())d._fadeSentence(b,e);else{var f=b.sub.concat(b.remove);e.fromDelays=d._staggerDelays(b.from,f,"fromIndex"),e.toDelays=d._staggerDelays(b.to,b.insert,"toIndex",f.length),b.sub.map(function(a){d._subAction(a,e)}),b.remove.map(function(a){d._removeAction(a,e)}),b.keep.map(function(a){d._keepAction(a,e)}),d._performInsertions(b.insert,b.move,e)}0===e.pending&&d._changeEnd(e)},p.prototype._staggerDelays=function(a,b,c,d){var e=this,f=b.map(function(a){return a[c]}),g={},h=d||0;return e._visualOrder(a).forEach(function(a){-1!==f.indexOf(a)&&(g[a]=e.settings.stagger*h++)}),g},p.prototype._setSentenceClass=function(a){var b=this,c=b.sentenceClass.split(" "),d=b.wrapper.className.split(" ").filter(function(a){return a&&-1===c.indexOf(a)});a&&d.push(a),b.wrapper.className=d.join(" "),b.sentenceClass=a},p.prototype._finishAnimations=function(){var a=this;a.timers.slice().forEach(function(b){b.flush&&(a._clearTimeout(b),b.fn())}),a.animations.slice().forEach(function(a){a.finish()})},p.prototype._animationEnd=function(a){var b=this,c=a.ctx.change;b._emit("animationEnd",{type:a.type,word:a.ctx.word,from:c.action.from,to:c.action.to,action:c.action}),0===--c.pending&&b._changeEnd(c)},p.prototype._changeEnd=function(a){var b=this,c=a.action;a.ended||(a.ended=!0,void 0!==a.height&&(b.wrapper.style.height=a.height+"px"),c.to===b.currentSentence&&0===b.animations.length&&b._reconcile(c.to),b._emit("afterChange",{from:c.from,to:c.to,action:c,data:a.options.data}),a.completesLoop&&b._emit("loop",{count:b.loopCount,from:c.from,to:c.to,action:c,data:a.options.data}))},p.prototype._reconcile=function(a){var b=this,c=b._visualOrder(a).map(function(a){return b.words[a]?b.words[a].elem:null}),d=[].filter.call(b.wrapper.children,function(a){return-1!==(" "+a.className+" ").indexOf(" "+b.settings.namespace+"-word ")}),e=b.words.length===a.length&&d.length===c.length&&c.every(function(a,b){return a===d[b]});e||(b.settings.verbose&&console.log("_reconcile rebuilding",a),d.forEach(function(a){b.wrapper.removeChild(a)}),b.words=[],b._visualOrder(a).forEach(function(a){b.words[a]=b._createWord(),b.wrapper.appendChild(b.words[a].elem)}));var f=document.createElement("span"),g=!e;return a.forEach(function(a,c){var d=b.words[c];b._renderToken(f,a),e&&d.visible.textContent===f.textContent&&d.invisible.textContent===f.textContent&&"1"===d.visible.style.opacity||(b.settings.verbose&&console.log("_reconcile repairing",a),b._renderToken(d.visible,a),b._renderToken(d.invisible,a),d.visible.className=b.settings.namespace+"-visible",d.invisible.className=b.settings.namespace+"-invisible",d.visible.style.cssText="opacity: 1",d.invisible.style.cssText="width: auto",g=!0)}),g},p.prototype._removeAction=function(a,b){var c=this,d=b.fromWords[a.fromIndex],e={word:d.elem,visible:d.visible,invisible:d.invisible,newText:null,delay:b.fromDelays[a.fromIndex],change:b};c.settings.verbose&&console.log("remove",e),new u("remove",c,e)},p.prototype._performInsertions=function(a,b,c){var d=this,e=d._stayingOrder(c.action),f=e.some(function(a,b){return b>0&&!d._isAfter(d.words[a].elem,d.words[e[b-1]].elem)});if(0!==a.length||0!==b.length||f){var g=d._visualOrder(c.action.to),h=a.concat(b).sort(function(a,b){return g.indexOf(a.toIndex)-g.indexOf(b.toIndex)});d._setTimeout(function(){e.forEach(function(a,b){var c=b>0?d.words[e[b-1]].elem:null;c&&!d._isAfter(d.words[a].elem,c)&&c.insertAdjacentElement("afterend",d.words[a].elem)}),h.forEach(function(a){if(void 0!==a.fromIndex)return void d._moveAction(a,c);var b=d._createWord();d._placeWord(b.elem,a.toIndex,c.action.to),d.words[a.toIndex]=b;var e={word:b.elem,visible:b.visible,invisible:b.invisible,newText:a.toWord,delay:c.toDelays[a.toIndex],change:c};d.settings.verbose&&console.log("insert",e),new u("insert",d,e)})},d.settings.durations.hide,!0)}},p.prototype._stayingOrder=function(a){var b=this,c={};return a.sub.concat(a.keep).forEach(function(a){c[a.toIndex]=!0}),b._visualOrder(a.to).filter(function(a){return c[a]})},p.prototype._isAfter=function(b,c){return 0!=(c.compareDocumentPosition(b)&a.Node.DOCUMENT_POSITION_FOLLOWING)},p.prototype._fadeSentence=function(a,b){var c=this,d=b.fromWords.filter(function(a){return a});b.pending=d.length+a.to.length,d.forEach(function(a){new u("vanish",c,{word:a.elem,visible:a.visible,invisible:a.invisible,change:b})}),c._setTimeout(function(){c.animations.slice().forEach(function(a){"vanish"===a.type&&a.finish()}),c._visualOrder(a.to).forEach(function(d){var e=c._createWord();c.wrapper.appendChild(e.elem),c.words[d]=e;var f={word:e.elem,visible:e.visible,invisible:e.invisible,newText:a.to[d],change:b};c._renderToken(f.invisible,f.newText),f.invisible.style.width="auto",c.settings.verbose&&console.log("appear",f),new u("appear",c,f)})},d.length>0?c.settings.durations.hide:0,!0)},p.prototype._moveAction=function(a,b){var c=this,d=b.fromWords[a.fromIndex];c.words[a.toIndex]=d;var e={toIndex:a.toIndex,word:d.elem,visible:d.visible,invisible:d.invisible,newText:a.toWord,change:b};c.settings.verbose&&console.log("move",e),new u("move",c,e)},p.prototype._createWord=function(){var a=this,b=document.createElement("div");b.innerHTML=e(a.settings.namespace);var c=b.firstChild;return{elem:c,visible:c.firstChild,invisible:c.lastChild}},p.prototype._placeWord=function(a,b,c){var d=this,e=d._wordBefore(b,c);e?e.insertAdjacentElement("afterend",a):d.wrapper.insertAdjacentElement("afterbegin",a)},p.prototype._wordBefore=function(a,b){var c=this,d=c._visualOrder(b),e=d.indexOf(a),f=e>0?c.words[d[e-1]]:null;return f?f.elem:null},p.prototype._visualOrder=function(a){var c=this;return b.visualOrder(a,c.direction)},p.prototype._subAction=function(a,b){var c=this,d=b.fromWords[a.fromIndex];c.words[a.toIndex]=d;var e={word:d.elem,visible:d.visible,invisible:d.invisible,newText:a.toWord,delay:b.fromDelays[a.fromIndex],change:b};c.settings.verbose&&console.log("sub",e),new u("sub",c,e)},p.prototype._keepAction=function(a,b){var c=this,d=b.fromWords[a.fromIndex];c.words[a.toIndex]=d;var e={word:d.elem,visible:d.visible,invisible:d.invisible,newText:a.toWord,respace:!w(a.fromWord,a.toWord),change:b};c.settings.verbose&&console.log("keep",e),new u("keep",c,e)};var F={fade:{hide:function(a){a.transition(a.ctx.visible,"opacity",0)},show:function(a){a.render(a.ctx.visible,a.ctx.newText),a.transition(a.ctx.visible,"opacity",1)}},"slide-up":r("up"),"slide-down":r("down"),typewriter:{hide:function(a){var b=a.ctx.visible,c=C(b.textContent),d=function(e){if(b.textContent=c.slice(0,e).join(""),0===e)return void a.next();a.later(function(){d(e-1)},a.duration/c.length)};d(c.length)},show:function(a){var b=a.ctx.visible,c=a.ctx.newText,d=C(c.text),e=function(f){if(a.render(b,q(c,d,f)),f===d.length)return void a.next();a.later(function(){e(f+1)},a.duration/d.length)};b.style.opacity=1,e(0)}}};p.registerEffect=function(a,b){if(!b||"function"!=typeof b.hide||"function"!=typeof b.show)throw"An effect must have hide and show functions.";return F[a]=b,p},p.prototype._effectFor=function(a){var b=this,c=b.settings.effect,d="string"==typeof c?c:c[a];if(d&&"vanish"!==a&&"appear"!==a||(d="fade"),!F.hasOwnProperty(d))throw"Unknown effect: "+d;return F[d]};var G=50,H={web:{start:function(b){var c={},d={};c[b.property]=a.getComputedStyle(b.elem)[b.property],d[b.property]=b.value,b.elem.style[b.property]=b.value,b.player=b.elem.animate([c,d],{duration:b.duration,easing:b.easing}),b.player.finished.then(b.done,function(){})},pause:function(a){a.player.pause()},resume:function(a){a.player.play()},cancel:function(a){a.player.cancel()}},css:{start:function(a,b){var e=a.elem;a.sub=b.sub,a.event=c(),a.animatingClass=b.animatingClass,a.listener=function(b){b.target===e&&(s(a),a.done())},d(e),e.className+=a.animatingClass,e.style.transitionDuration=a.duration+"ms",e.addEventListener(a.event,a.listener,!1),a.timer=a.sub._setTimeout(function(){s(a),e.style[a.property]=a.value,a.done()},a.duration+G),e.style[a.property]=a.value},pause:function(b){b.frozen=a.getComputedStyle(b.elem)[b.property],b.elem.className=b.elem.className.replace(b.animatingClass,""),b.elem.style[b.property]=b.frozen},resume:function(a){var b=Math.max(0,a.timer.remaining-G);a.elem.className+=a.animatingClass,a.elem.style.transitionDuration=b+"ms",d(a.elem),a.elem.style[a.property]=a.value,parseFloat(a.frozen)===parseFloat(a.value)&&(s(a),a.done())},cancel:function(a){s(a),a.elem.style[a.property]=a.value}}};u.prototype.next=function(){var a=this;a._cancelRuns();var b=a.steps.shift();b?b.call(a):a._done()},u.prototype.transition=function(a,b,c){var d=this;d._animate(a,b,c,function(){d.next()})},u.prototype._animate=function(a,b,c,d){var e=this;if(e.styled.push({elem:a,property:b}),e.duration<=0)return a.style[b]=c,void(d&&d());var f={elem:a,property:b,value:c,duration:e.duration,easing:e.sub.settings.easing,done:function(){var a=e.runs.indexOf(f);-1!==a&&(e.runs.splice(a,1),d&&d())}};e.runs.push(f),e.sub.driver.start(f,e)},u.prototype._cancelRuns=function(){var a=this,b=a.runs;a.runs=[],b.forEach(function(b){a.sub.driver.cancel(b)})},u.prototype.later=function(a,b){var c=this;c.timer=c.sub._setTimeout(function(){c.timer=null,a()},b)},u.prototype.render=function(a,b){this.sub._renderToken(a,b)},u.prototype._setText=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_setText"),a.sub._renderToken(b.visible,b.newText),a.sub._renderToken(b.invisible,b.newText),a.next()},u.prototype._hide=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_hide"),b.invisible.style.width=b.invisible.offsetWidth+"px",a.duration=a.sub.settings.durations.hide,a.effect.hide(a)},u.prototype._setWidth=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_setWidth"),a.duration=a.sub.settings.durations.resize;var c=a._calculateWordWidth(b.newText,a.sub.wrapper.tagName,a.sub.wrapper.className.split(" "));a.later(function(){a.transition(b.invisible,"width",c+"px")},5)},u.prototype._slide=function(){var a=this,b=a.ctx,c=a.sub.settings.namespace;a.sub.settings.verbose&&console.log("_slide");var e=b.word.getBoundingClientRect();b.placeholder=document.createElement("div"),b.placeholder.className=c+"-word",b.placeholder.setAttribute("aria-hidden","true"),b.placeholder.innerHTML='<span class="'+c+'-invisible" style="width: '+b.invisible.offsetWidth+'px"></span>',b.word.parentNode.insertBefore(b.placeholder,b.word),a.sub._placeWord(b.word,b.toIndex,b.change.action.to),a.sub._renderToken(b.visible,b.newText),a.sub._renderToken(b.invisible,b.newText),b.word.className+=" "+c+"-moving",b.invisible.style.width="0px";var f=b.word.getBoundingClientRect();b.visible.style.transform="translate("+(e.left-f.left)+"px, "+(e.top-f.top)+"px)";var g=a._calculateWordWidth(b.newText,a.sub.wrapper.tagName,a.sub.wrapper.className.split(" "));d(b.word),a.duration=a.sub.settings.durations.resize,a._animate(b.placeholder.firstChild,"width","0px"),a._animate(b.invisible,"width",g+"px"),a.transition(b.visible,"transform","translate(0px, 0px)")},u.prototype._clearMove=function(){var a=this,b=a.ctx;b.placeholder&&b.placeholder.parentNode&&b.placeholder.parentNode.removeChild(b.placeholder),b.placeholder=null,b.word.className=b.word.className.replace(" "+a.sub.settings.namespace+"-moving",""),b.visible.style.transform=""},u.prototype._removeElement=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_removeElement"),b.word.parentNode&&b.word.parentNode.removeChild(b.word),a.next()},u.prototype._show=function(){var a=this,b=a.ctx;a.sub.settings.verbose&&console.log("_show"),a.sub._renderToken(b.invisible,b.newText),a.duration=a.sub.settings.durations.show,a.effect.show(a)},u.prototype._cleanUp=function(){var a=this;a.sub.settings.verbose&&console.log("_cleanUp"),a._settle(),a.next()},u.prototype._settle=function(){var a=this,b=a.ctx;b.invisible.className=b.invisible.className.replace(a.animatingClass,""),b.visible.className=b.visible.className.replace(a.animatingClass,""),a.styled.forEach(function(a){a.elem.style[a.property]=""}),a.styled=[],b.visible.style.opacity=1,b.visible.style.transitionDuration="",b.invisible.style.transitionDuration="",b.invisible.style.width="auto","move"===a.type&&a._clearMove()},u.prototype.pause=function(){var a=this;a.isPaused||a.isDone||(a.isPaused=!0,a.runs.forEach(function(b){a.sub.driver.pause(b)}))},u.prototype.resume=function(){var a=this;a.isPaused&&(a.isPaused=!1,a.runs.slice().forEach(function(b){-1!==a.runs.indexOf(b)&&a.sub.driver.resume(b)}))},u.prototype.finish=function(){var a=this,b=a.ctx;a.isDone||(a.sub._clearTimeout(a.timer),a._cancelRuns(),a.steps=[],"remove"===a.type||"vanish"===a.type?b.word.parentNode&&b.word.parentNode.removeChild(b.word):("keep"!==a.type||b.respace)&&(a.sub._renderToken(b.visible,b.newText),a.sub._renderToken(b.invisible,b.newText),a._settle()),a._done())},u.prototype._done=function(){var a=this;a.isDone||(a.isDone=!0,a.sub.animations.splice(a.sub.animations.indexOf(a),1),a.ctx.change&&a.sub._animationEnd(a))},u.prototype._calculateWordWidth=function(b,c,d){var e=this,f=document.createElement(c);d=d||[],d.push(e.sub.settings.namespace+"-text-width-calculation"),f.setAttribute("class",d.join(" ")),e.sub._renderToken(f,b),(e.sub.wrapper.parentNode||document.body).appendChild(f);var g=parseFloat(a.getComputedStyle(f,null).width);return f.parentNode.removeChild(f),g};var I=[{attribute:"interval",option:"interval",type:"number"},{attribute:"speed",option:"speed",type:"number"},{attribute:"random",option:"random",type:"boolean"},{attribute:"best",option:"best",type:"boolean"},{attribute:"mobile-width",option:"mobileWidth",type:"number"}];v.observedAttributes=["sentences"].concat(I.map(function(a){return a.attribute})),v.prototype=Object.create(HTMLElement.prototype,{constructor:{value:v,writable:!0,configurable:!0},sentences:{configurable:!0,get:function(){return this._sentences||this._readSentences()},set:function(a){this._sentences=a,this._restart()}},sub:{configurable:!0,get:function(){return this._sub}}}),v.prototype.connectedCallback=function(){var a=this;if(!a._sentences&&!a.hasAttribute("sentences")&&0===a.children.length&&"loading"===document.readyState)return void document.addEventListener("DOMContentLoaded",function(){a.isConnected&&a._start()});a._start()},v.prototype.disconnectedCallback=function(){this._stop()},v.prototype.attributeChangedCallback=function(a,b,c){var d=this;b!==c&&("sentences"===a&&(d._sentences=null),d._restart())},v.prototype._readSentences=function(){var a=this;if(a.hasAttribute("sentences")){var b;try{b=JSON.parse(a.getAttribute("sentences"))}catch(c){return null}return Array.isArray(b)?b:null}return!a._childSentences&&a.children.length>0&&(a._childSentences=[].map.call(a.children,function(a){return a.textContent.replace(/\s+/g," ").replace(/^ | $/g,"")})),a._childSentences||[]},v.prototype._readOptions=function(){var a=this,b={container:a};return I.forEach(function(c){var d=a.getAttribute(c.attribute);null!==d&&("boolean"===c.type?b[c.option]="false"!==d:isNaN(parseInt(d,10))||(b[c.option]=parseInt(d,10)))}),b},v.prototype._start=function(){var b=this;if(!b._sub){var c=b.sentences;if(b._inert=!c,!c){var d="The sentences attribute must be a JSON array of strings.";return console.error(d,b.getAttribute("sentences")),void b.dispatchEvent(new CustomEvent("error",{detail:{message:d}}))}"inline"===a.getComputedStyle(b).display&&(b.style.display="block"),b._sub=new p(c,b._readOptions()),b._sub.run()}},v.prototype._stop=function(){var a=this;a._inert=!1,a._sub&&(a._sub.destroy(),a._sub=null)},v.prototype._restart=function(){var a=this;(a._sub||a._inert)&&(a._stop(),a._start())},p.Element=v,a.customElements&&a.Reflect&&!a.customElements.get("substitute-teacher")&&a.customElements.define("substitute-teacher",v),p.core=b,a.Sub=p}(window,window.SubCore);
\ No newline at end of file
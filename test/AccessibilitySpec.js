@@ -0,0 +1,74 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub accessibility ", function() {
+  var Sub;
+
+  function apply(sub, rawSentence) {
+    var sentence = sub._parseSentences([rawSentence])[0];
+    sub._applyAction(sub._computeActionsToChange(sub.currentSentence, sentence), false);
+  }
+
+  beforeEach(function() {
+    jasmine.clock().install();
+    Sub = getSubInstance("sub", { reducedMotion: false });
+  });
+
+  afterEach(function() {
+    Sub.stop();
+    jasmine.clock().uninstall();
+  });
+
+  it("Exposes the sentence once, through a live region", function() {
+    expect(Sub.liveRegion.getAttribute("aria-live")).toEqual("off");
+    apply(Sub, "Hello, world");
+    expect(Sub.liveRegion.textContent).toEqual("Hello, world");
+  });
+
+  it("Sets the politeness of the live region", function() {
+    var politeSub = getSubInstance("sub", { ariaLive: "polite" });
+    expect(politeSub.liveRegion.getAttribute("aria-live")).toEqual("polite");
+    expect(function() { getSubInstance("sub", { ariaLive: "loud" }); }).toThrow();
+  });
+
+  it("Hides the words from screen readers", function() {
+    apply(Sub, "Hello, world");
+    jasmine.clock().tick(Sub.settings.speed);
+    var words = Sub.wrapper.querySelectorAll(".sub-word");
+    expect(words.length).toEqual(3);
+    [].forEach.call(words, function(word) {
+      expect(word.getAttribute("aria-hidden")).toEqual("true");
+    });
+  });
+
+  it("Follows prefers-reduced-motion by default", function() {
+    var matchMedia = window.matchMedia;
+    var autoSub = getSubInstance();
+    window.matchMedia = function(query) {
+      return { matches: query === "(prefers-reduced-motion: reduce)" };
+    };
+    expect(autoSub._reducedMotion()).toBe(true);
+    window.matchMedia = matchMedia;
+    expect(Sub._reducedMotion()).toBe(false);
+  });
+
+  it("Fades whole sentences when motion is reduced", function() {
+    Sub.settings.reducedMotion = true;
+    apply(Sub, "A quick fox");
+    jasmine.clock().tick(0);
+    apply(Sub, "A slow fox");
+    expect(Sub.animations.map(function(animation) {
+      return animation.type;
+    })).toEqual(["vanish", "vanish", "vanish"]);
+
+    jasmine.clock().tick(Sub.settings.speed);
+    expect(Sub.animations.map(function(animation) {
+      return animation.type;
+    })).toEqual(["appear", "appear", "appear"]);
+
+    Sub.stop();
+    expect([].map.call(Sub.wrapper.querySelectorAll(".sub-visible"), function(word) {
+      return word.textContent;
+    }).join("")).toEqual("A\u00a0slow\u00a0fox");
+  });
+});
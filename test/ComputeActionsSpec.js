@@ -17,6 +17,7 @@ describe("Sub._computeActionsToChange ", function() {
 			insert: [],
 			keep: [
 			{ fromWord: "very",  toWord: "very",  fromIndex: 0, toIndex: 0 }],
+			move: [],
 			cost: 0
 		}
 	},
@@ -32,6 +33,7 @@ describe("Sub._computeActionsToChange ", function() {
 			remove: [],
 			insert: [],
 			keep: [],
+			move: [],
 			cost: 1
 		}
 	},
@@ -47,6 +49,7 @@ describe("Sub._computeActionsToChange ", function() {
 			insert: [
 			{ toWord: "cool", toIndex: 0 } ],
 			keep: [],
+			move: [],
 			cost: 1
 		}
 	},
@@ -62,6 +65,7 @@ describe("Sub._computeActionsToChange ", function() {
 			{ fromWord: "cool", fromIndex: 0 } ],
 			insert: [],
 			keep: [],
+			move: [],
 			cost: 1
 		}
 	},
@@ -83,6 +87,7 @@ describe("Sub._computeActionsToChange ", function() {
 			{ fromWord: "is",    toWord: "is",    fromIndex: 4, toIndex: 4 },
 			{ fromWord: "very",  toWord: "very",  fromIndex: 5, toIndex: 5 },
 			{ fromWord: "cool",  toWord: "cool",  fromIndex: 6, toIndex: 6 } ],
+			move: [],
 			cost: 1
 		}
 	},
@@ -104,6 +109,7 @@ describe("Sub._computeActionsToChange ", function() {
 			{ fromWord: "is",    toWord: "is",    fromIndex: 4, toIndex: 4 },
 			{ fromWord: "very",  toWord: "very",  fromIndex: 5, toIndex: 5 },
 			{ fromWord: "cool",  toWord: "cool",  fromIndex: 6, toIndex: 6 } ],
+			move: [],
 			cost: 1
 		}
 	},
@@ -129,14 +135,182 @@ describe("Sub._computeActionsToChange ", function() {
 			{ fromWord: "is",    toWord: "is",    fromIndex: 4, toIndex: 3 },
 			{ fromWord: "very",  toWord: "very",  fromIndex: 5, toIndex: 4 },
 			{ fromWord: ",",     toWord: ",",     fromIndex: 7, toIndex: 7 } ],
+			move: [],
 			cost: 6
 		}
+	},
+	{
+		description: "Substitutes instead of removing and reinserting",
+		from: ["so", "so", "cool"],
+		to: ["very", "so", "cool"],
+		out: {
+			from: ["so", "so", "cool"],
+			to: ["very", "so", "cool"],
+			sub:[
+			{ fromWord: "so", toWord: "very", fromIndex: 0, toIndex: 0 } ],
+			remove: [],
+			insert: [],
+			keep: [
+			{ fromWord: "so",   toWord: "so",   fromIndex: 1, toIndex: 1 },
+			{ fromWord: "cool", toWord: "cool", fromIndex: 2, toIndex: 2 } ],
+			move: [],
+			cost: 1
+		}
+	},
+	{
+		description: "Swapped words move",
+		from: ["the", "cat", "sat"],
+		to: ["cat", "the", "sat"],
+		out: {
+			from: ["the", "cat", "sat"],
+			to: ["cat", "the", "sat"],
+			sub:[],
+			remove: [],
+			insert: [],
+			keep: [
+			{ fromWord: "sat", toWord: "sat", fromIndex: 2, toIndex: 2 } ],
+			move: [
+			{ fromWord: "cat", toWord: "cat", fromIndex: 1, toIndex: 0 },
+			{ fromWord: "the", toWord: "the", fromIndex: 0, toIndex: 1 } ],
+			cost: 2
+		}
+	},
+	{
+		description: "Reordered words move around the words that stay",
+		from: ["fast", "and", "cheap"],
+		to: ["cheap", "and", "fast"],
+		out: {
+			from: ["fast", "and", "cheap"],
+			to: ["cheap", "and", "fast"],
+			sub:[],
+			remove: [],
+			insert: [],
+			keep: [
+			{ fromWord: "and", toWord: "and", fromIndex: 1, toIndex: 1 } ],
+			move: [
+			{ fromWord: "cheap", toWord: "cheap", fromIndex: 2, toIndex: 0 },
+			{ fromWord: "fast",  toWord: "fast",  fromIndex: 0, toIndex: 2 } ],
+			cost: 2
+		}
+	},
+	{
+		description: "A single move is cheaper than a removal and an insertion",
+		from: ["fast", "cheap", "good"],
+		to: ["good", "fast", "cheap"],
+		out: {
+			from: ["fast", "cheap", "good"],
+			to: ["good", "fast", "cheap"],
+			sub:[],
+			remove: [],
+			insert: [],
+			keep: [
+			{ fromWord: "fast",  toWord: "fast",  fromIndex: 0, toIndex: 1 },
+			{ fromWord: "cheap", toWord: "cheap", fromIndex: 1, toIndex: 2 } ],
+			move: [
+			{ fromWord: "good", toWord: "good", fromIndex: 2, toIndex: 0 } ],
+			cost: 1
+		}
+	},
+	{
+		description: "Moves are not used when they would cost more",
+		from: ["a", "b", "c"],
+		to: ["b", "x", "c"],
+		out: {
+			from: ["a", "b", "c"],
+			to: ["b", "x", "c"],
+			sub:[
+			{ fromWord: "a", toWord: "b", fromIndex: 0, toIndex: 0 },
+			{ fromWord: "b", toWord: "x", fromIndex: 1, toIndex: 1 } ],
+			remove: [],
+			insert: [],
+			keep: [
+			{ fromWord: "c", toWord: "c", fromIndex: 2, toIndex: 2 } ],
+			move: [],
+			cost: 2
+		}
+	},
+	{
+		description: "Does not chase a repeated word",
+		from: ["is", "is", "very", "cool"],
+		to: ["is", "cool", "cool", "cool"],
+		out: {
+			from: ["is", "is", "very", "cool"],
+			to: ["is", "cool", "cool", "cool"],
+			sub:[
+			{ fromWord: "is",   toWord: "cool", fromIndex: 1, toIndex: 1 },
+			{ fromWord: "very", toWord: "cool", fromIndex: 2, toIndex: 2 } ],
+			remove: [],
+			insert: [],
+			keep: [
+			{ fromWord: "is",   toWord: "is",   fromIndex: 0, toIndex: 0 },
+			{ fromWord: "cool", toWord: "cool", fromIndex: 3, toIndex: 3 } ],
+			move: [],
+			cost: 2
+		}
+	},
+	{
+		description: "Removes a leading run to keep the rest",
+		from: ["cool", "and", "very", "cool"],
+		to: ["very", "cool"],
+		out: {
+			from: ["cool", "and", "very", "cool"],
+			to: ["very", "cool"],
+			sub:[],
+			remove: [
+			{ fromWord: "cool", fromIndex: 0 },
+			{ fromWord: "and",  fromIndex: 1 } ],
+			insert: [],
+			keep: [
+			{ fromWord: "very", toWord: "very", fromIndex: 2, toIndex: 0 },
+			{ fromWord: "cool", toWord: "cool", fromIndex: 3, toIndex: 1 } ],
+			move: [],
+			cost: 2
+		}
 	} ];
 
+	/**
+	 * Reference edit distance, computed independently of the implementation.
+	 */
+	function editDistance(from, to) {
+		var previous = [], current, i, j;
+		for (j = 0; j <= to.length; j++) {
+			previous.push(j);
+		}
+		for (i = 1; i <= from.length; i++) {
+			current = [i];
+			for (j = 1; j <= to.length; j++) {
+				current.push(Math.min(
+					previous[j] + 1,
+					current[j - 1] + 1,
+					previous[j - 1] + (from[i - 1] === to[j - 1] ? 0 : 1)));
+			}
+			previous = current;
+		}
+		return previous[to.length];
+	}
+
 	testCases.forEach(function(testCase) {
 		it(testCase.description, function() {
 			expect(Sub._computeActionsToChange(testCase.from,
 				testCase.to)).toEqual(testCase.out);
 		});
 	});
+
+	testCases.forEach(function(testCase) {
+		it(testCase.description + " (optimal)", function() {
+			var actions = Sub._computeActionsToChange(testCase.from, testCase.to);
+			expect(actions.cost).toEqual(actions.sub.length +
+				actions.remove.length + actions.insert.length + actions.move.length);
+			// Moves can only ever make an action cheaper than the edit distance
+			expect(actions.cost).not.toBeGreaterThan(editDistance(testCase.from, testCase.to));
+		});
+	});
+
+	it("Keeps words whose spacing changed", function() {
+		var sentences = Sub._parseSentences(["cat, dog", "cat dog"]);
+		var actions = Sub._computeActionsToChange(sentences[0], sentences[1]);
+		expect(actions.keep.length).toEqual(2);
+		expect(actions.remove.map(function(r) { return r.fromWord.text; })).toEqual([","]);
+		expect(actions.cost).toEqual(1);
+	});
 });
@@ -0,0 +1,53 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub container option ", function() {
+  var elem;
+
+  beforeEach(function() {
+    elem = document.createElement("div");
+    elem.className = "sub-container-test";
+    document.body.appendChild(elem);
+  });
+
+  afterEach(function() {
+    document.body.removeChild(elem);
+  });
+
+  it("Accepts an element", function() {
+    var sub = getSubInstance("sub", { container: elem });
+    expect(sub.wrapper).toBe(elem);
+    expect(sub.root).toBe(document);
+  });
+
+  it("Accepts a selector", function() {
+    var sub = getSubInstance("sub", { container: ".sub-container-test" });
+    expect(sub.wrapper).toBe(elem);
+  });
+
+  it("Rejects a selector that matches nothing", function() {
+    expect(function() {
+      getSubInstance("sub", { container: ".sub-container-missing" });
+    }).toThrow();
+  });
+
+  it("Injects styles into the shadow root an element is inside", function() {
+    if (!elem.attachShadow) {
+      return;
+    }
+    var shadow = elem.attachShadow({ mode: "open" });
+    var inner = document.createElement("h2");
+    shadow.appendChild(inner);
+    var sub = getSubInstance("sub", { container: inner, namespace: "shadowed" });
+    expect(sub.root).toBe(shadow);
+    expect(shadow.querySelectorAll("style").length).toEqual(1);
+
+    var sentence = sub._parseSentences(["Hi there"])[0];
+    sub._applyAction(sub._computeActionsToChange([], sentence), false);
+    sub.stop();
+    expect(inner.querySelectorAll(".shadowed-word").length).toEqual(2);
+
+    sub.destroy();
+    expect(shadow.querySelectorAll("style").length).toEqual(0);
+  });
+});
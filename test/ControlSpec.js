@@ -0,0 +1,74 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub stopping and pausing partway through a change ", function() {
+  var sub;
+
+  beforeEach(function() {
+    jasmine.clock().install();
+    jasmine.clock().mockDate();
+    sub = getSubInstance("sub", { driver: "css" });
+    sub._applyAction(sub._computeActionsToChange([], sub._parseSentences(["Hi"])[0]), false);
+  });
+
+  afterEach(function() {
+    jasmine.clock().uninstall();
+  });
+
+  function startResizing() {
+    // Wait for the insertion, which starts by resizing the word
+    jasmine.clock().tick(sub.settings.durations.hide + 5);
+    return sub.animations[0].runs[0];
+  }
+
+  it("Holds back the next step of a change while paused", function() {
+    jasmine.clock().tick(100);
+    sub.pause();
+    jasmine.clock().tick(1000);
+    expect(sub.words.length).toEqual(0);
+    sub.resume();
+    jasmine.clock().tick(99);
+    expect(sub.words.length).toEqual(0);
+    jasmine.clock().tick(1);
+    expect(sub.words.length).toEqual(1);
+  });
+
+  it("Freezes a transition while paused", function() {
+    var run = startResizing();
+    jasmine.clock().tick(50);
+    sub.pause();
+    expect(run.elem.className).not.toContain("sub-animating");
+    jasmine.clock().tick(1000);
+    expect(sub.animations[0].runs[0]).toBe(run);
+  });
+
+  it("Finishes a resumed transition in the time it has left", function() {
+    var run = startResizing();
+    jasmine.clock().tick(50);
+    sub.pause();
+    jasmine.clock().tick(1000);
+    sub.resume();
+    expect(run.elem.className).toContain("sub-animating");
+    expect(run.elem.style.transitionDuration).toEqual("150ms");
+    jasmine.clock().tick(150 + 50 - 1);
+    expect(sub.animations[0].runs[0]).toBe(run);
+    jasmine.clock().tick(1);
+    expect(sub.animations[0].runs[0].property).toEqual("opacity");
+  });
+
+  it("Leaves the sentence complete when stopped", function() {
+    var changes = 0;
+    sub.on("afterChange", function() { changes++; });
+    startResizing();
+    jasmine.clock().tick(50);
+    sub.stop();
+    expect(sub.animations.length).toEqual(0);
+    expect(sub.timers.length).toEqual(0);
+    var visible = sub.wrapper.querySelector(".sub-visible");
+    expect(visible.textContent).toEqual("Hi");
+    expect(visible.style.opacity).toEqual("1");
+    expect(sub.wrapper.querySelectorAll(".sub-animating").length).toEqual(0);
+    jasmine.clock().tick(1000);
+    expect(changes).toEqual(1);
+  });
+});
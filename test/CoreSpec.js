@@ -0,0 +1,84 @@
+/* global SubCore, Sub, getSubInstance */
+"use strict";
+
+describe("SubCore ", function() {
+  function texts(sentence) {
+    return sentence.map(function(token) { return token.text; });
+  }
+
+  it("Parses sentences without a Sub", function() {
+    var sentences = SubCore.parseSentences(["A <b>bold</b> cat", { text: "A cat" }], { markup: "rich" });
+    expect(texts(sentences[0])).toEqual(["A", "bold", "cat"]);
+    expect(sentences[0][1].open).toEqual("<b>");
+    expect(texts(sentences[1])).toEqual(["A", "cat"]);
+    expect(texts(SubCore.parseSentences(["Hi"], { granularity: "char" })[0])).toEqual(["H", "i"]);
+    expect(function() { SubCore.parseSentences(["Hi"], { markup: "html" }); }).toThrow();
+  });
+
+  it("Computes the same actions as Sub", function() {
+    var sentences = SubCore.parseSentences(["The quick fox", "The slow brown fox"]);
+    var actions = SubCore.computeActions(sentences[0], sentences[1]);
+    expect(actions.cost).toEqual(2);
+    expect(actions).toEqual(getSubInstance()._computeActionsToChange(sentences[0], sentences[1]));
+  });
+
+  it("Plans one action for each sentence, looping back to the first", function() {
+    var sentences = SubCore.parseSentences(["A cat", "A dog", "A cow"]);
+    var actions = SubCore.planActions(sentences);
+    expect(actions.length).toEqual(3);
+    expect(actions[0].from).toBe(sentences[2]);
+    expect(actions[0].to).toBe(sentences[0]);
+    expect(SubCore.planActions(sentences, { best: true }).length).toEqual(3);
+    expect(SubCore.planActions([])).toEqual([]);
+  });
+
+  it("Lays words out in either direction", function() {
+    var hebrew = "\u05e9\u05dc\u05d5\u05dd \u05e2\u05d5\u05dc\u05dd";
+    var sentences = SubCore.parseSentences(["one " + hebrew + " two", hebrew + " HTML is fun"]);
+    expect(SubCore.visualOrder(sentences[0])).toEqual([0, 2, 1, 3]);
+    expect(SubCore.visualOrder(sentences[1], "rtl")).toEqual([0, 1, 4, 3, 2]);
+  });
+
+  it("Diffs two sentences with Sub.diff", function() {
+    var actions = Sub.diff("A quick fox", { text: "A slow fox" });
+    expect(texts(actions.from)).toEqual(["A", "quick", "fox"]);
+    expect(texts(actions.to)).toEqual(["A", "slow", "fox"]);
+    expect(actions.sub.length).toEqual(1);
+    expect(actions.sub[0].toWord.text).toEqual("slow");
+    expect(actions.keep.length).toEqual(2);
+    expect(actions.cost).toEqual(1);
+    expect(Sub.diff("Hi", "Ho", { granularity: "char" }).cost).toEqual(1);
+  });
+
+  it("Plans the rotation with Sub.plan", function() {
+    var sentences = ["A cat", "The big dog", "A dog", "A big cat"];
+    var plan = Sub.plan(sentences);
+    expect(plan.sentences.length).toEqual(4);
+    expect(plan.order.slice().sort()).toEqual([0, 1, 2, 3]);
+    plan.actions.forEach(function(action, i) {
+      expect(action.to).toBe(plan.sentences[plan.order[i]]);
+    });
+    expect(plan.cost).toEqual(6);
+
+    var inOrder = Sub.plan(sentences, { best: false });
+    expect(inOrder.order).toEqual([0, 1, 2, 3]);
+    expect(inOrder.cost).toEqual(8);
+  });
+
+  it("Starts the plan from the cheapest change, then takes the cheapest next", function() {
+    var plan = Sub.plan([
+      "alpha beta gamma delta",
+      "one two three four",
+      "one two three five",
+      "one six seven eight"
+    ]);
+    // 1 -> 2 changes one word, then 2 -> 3 is cheaper than 2 -> 0
+    expect(plan.actions[0].from).toBe(plan.sentences[1]);
+    expect(plan.order).toEqual([2, 3, 0, 1]);
+    expect(plan.actions.map(function(action) { return action.cost; })).toEqual([1, 3, 4, 4]);
+  });
+
+  it("Is used by Sub", function() {
+    expect(Sub.core).toBe(SubCore);
+  });
+});
@@ -0,0 +1,61 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub text direction ", function() {
+  // "shalom olam" and "salam" in Hebrew and Arabic
+  var hebrew = "\u05e9\u05dc\u05d5\u05dd \u05e2\u05d5\u05dc\u05dd";
+  var arabic = "\u0633\u0644\u0627\u0645";
+
+  it("Uses the direction of the container by default", function() {
+    var container = document.getElementById("sub");
+    container.style.direction = "rtl";
+    var rtlSub = getSubInstance();
+    container.style.direction = "";
+    expect(rtlSub.direction).toEqual("rtl");
+    expect(container.className.split(" ")).toContain("sub-rtl");
+    expect(getSubInstance().direction).toEqual("ltr");
+    expect(container.className.split(" ")).not.toContain("sub-rtl");
+  });
+
+  it("Rejects an unknown direction", function() {
+    expect(function() { getSubInstance("sub", { direction: "up" }); }).toThrow();
+  });
+
+  it("Lays out words in order when there is one direction", function() {
+    var ltrSub = getSubInstance("sub", { direction: "ltr" });
+    var rtlSub = getSubInstance("sub", { direction: "rtl" });
+    expect(ltrSub._visualOrder(ltrSub._parseSentences(["A quick fox"])[0])).toEqual([0, 1, 2]);
+    expect(rtlSub._visualOrder(rtlSub._parseSentences([hebrew + " " + arabic])[0])).toEqual([0, 1, 2]);
+  });
+
+  it("Reverses runs written in the other direction", function() {
+    var ltrSub = getSubInstance("sub", { direction: "ltr" });
+    var rtlSub = getSubInstance("sub", { direction: "rtl" });
+    expect(ltrSub._visualOrder(ltrSub._parseSentences(["one " + hebrew + " two"])[0])).toEqual([0, 2, 1, 3]);
+    expect(rtlSub._visualOrder(rtlSub._parseSentences([arabic + " HTML is fun"])[0])).toEqual([0, 3, 2, 1]);
+  });
+
+  it("Moves subbed and kept words to where the new sentence shows them", function() {
+    var sub = getSubInstance("sub", { direction: "ltr" });
+    var sentences = sub._parseSentences(["A dog (sat)!", "one " + hebrew + " two"]);
+    jasmine.clock().install();
+    sub._applyAction(sub._computeActionsToChange([], sentences[0]), false);
+    sub._finishAnimations();
+    var action = sub._computeActionsToChange(sentences[0], sentences[1]);
+    expect(action.insert.length).toEqual(0);
+    sub._applyAction(action, false);
+    jasmine.clock().tick(sub.settings.durations.hide);
+    var placed = [].filter.call(sub.wrapper.children, function(elem) {
+      return sub.words.some(function(word) { return word.elem === elem; });
+    });
+    expect(placed).toEqual([0, 2, 1, 3].map(function(index) { return sub.words[index].elem; }));
+    sub._finishAnimations();
+    jasmine.clock().uninstall();
+  });
+
+  it("Keeps neutral words inside the run around them", function() {
+    var rtlSub = getSubInstance("sub", { direction: "rtl", tokenizer: "legacy" });
+    expect(rtlSub._visualOrder(rtlSub._parseSentences([arabic + " HTML 5 rocks " + arabic + " 5"])[0]))
+      .toEqual([0, 3, 2, 1, 4, 5]);
+  });
+});
@@ -0,0 +1,88 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub animation drivers ", function() {
+  var sentence;
+
+  beforeEach(function() {
+    jasmine.clock().install();
+  });
+
+  afterEach(function() {
+    jasmine.clock().uninstall();
+  });
+
+  function insert(sub) {
+    sentence = sub._parseSentences(["Hi"])[0];
+    sub._applyAction(sub._computeActionsToChange([], sentence), false);
+    // Wait for the insertion, and for the width to be measured
+    jasmine.clock().tick(sub.settings.durations.hide + 5);
+  }
+
+  it("Rejects an unknown driver", function() {
+    expect(function() { getSubInstance("sub", { driver: "flash" }); }).toThrow();
+  });
+
+  it("Uses the Web Animations API where the browser has it", function() {
+    var hasWeb = typeof document.documentElement.animate === "function";
+    var name = hasWeb ? "web" : "css";
+    expect(getSubInstance().driver).toBe(getSubInstance("sub", { driver: name }).driver);
+  });
+
+  it("Moves on when a CSS transition ends", function() {
+    var sub = getSubInstance("sub", { driver: "css" });
+    insert(sub);
+    var run = sub.animations[0].runs[0];
+    expect(run.property).toEqual("width");
+    expect(run.elem.className).toContain("sub-animating");
+
+    var event = document.createEvent("Event");
+    event.initEvent(run.event, true, false);
+    run.elem.dispatchEvent(event);
+    expect(run.elem.className).not.toContain("sub-animating");
+    expect(sub.animations[0].runs[0].property).toEqual("opacity");
+  });
+
+  it("Moves on when a CSS transition never ends", function() {
+    var sub = getSubInstance("sub", { driver: "css" });
+    insert(sub);
+    jasmine.clock().tick(sub.settings.durations.resize + 50);
+    jasmine.clock().tick(sub.settings.durations.show + 50);
+    expect(sub.animations.length).toEqual(0);
+    expect(sub.wrapper.querySelector(".sub-visible").style.opacity).toEqual("1");
+    expect(sub.wrapper.querySelectorAll(".sub-animating").length).toEqual(0);
+  });
+
+  it("Waits for Web Animations to finish", function(done) {
+    if (!window.Promise) {
+      done();
+      return;
+    }
+    var players = [];
+    var hasAnimate = HTMLElement.prototype.hasOwnProperty("animate");
+    var animate = HTMLElement.prototype.animate;
+    HTMLElement.prototype.animate = function(keyframes, options) {
+      var player = { keyframes: keyframes, options: options };
+      player.finished = new window.Promise(function(resolve) { player.finish = resolve; });
+      players.push(player);
+      return player;
+    };
+    var sub = getSubInstance("sub", { driver: "web", easing: "ease-out" });
+    insert(sub);
+    expect(players.length).toEqual(1);
+    expect(players[0].keyframes[1].width).toMatch(/px$/);
+    expect(players[0].options).toEqual({ duration: 200, easing: "ease-out" });
+
+    players[0].finish();
+    players[0].finished.then(function() {
+      if (hasAnimate) {
+        HTMLElement.prototype.animate = animate;
+      } else {
+        delete HTMLElement.prototype.animate;
+      }
+      expect(players.length).toEqual(2);
+      expect(players[1].keyframes[1].opacity).toEqual(1);
+      done();
+    });
+  });
+});
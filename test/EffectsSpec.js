@@ -0,0 +1,59 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub effects ", function() {
+  var calls;
+
+  beforeEach(function() {
+    calls = [];
+    Sub.registerEffect("instant", {
+      hide: function(animation) {
+        calls.push("hide " + animation.type);
+        animation.next();
+      },
+      show: function(animation) {
+        calls.push("show " + animation.type);
+        animation.render(animation.ctx.visible, animation.ctx.newText);
+        animation.next();
+      }
+    });
+    jasmine.clock().install();
+  });
+
+  afterEach(function() {
+    jasmine.clock().uninstall();
+  });
+
+  it("Rejects effects without hide and show", function() {
+    expect(function() { Sub.registerEffect("broken", { hide: function() {} }); }).toThrow();
+  });
+
+  it("Rejects an unknown effect", function() {
+    expect(function() { getSubInstance("sub", { effect: "sparkle" }); }).toThrow();
+    expect(function() { getSubInstance("sub", { effect: { insert: "sparkle" } }); }).toThrow();
+  });
+
+  it("Picks an effect for each type of action", function() {
+    var sub = getSubInstance("sub", { effect: { sub: "slide-up", insert: "instant" } });
+    expect(sub._effectFor("sub")).not.toBe(sub._effectFor("insert"));
+    expect(sub._effectFor("remove")).toBe(getSubInstance()._effectFor("remove"));
+    // Reduced motion always fades
+    expect(sub._effectFor("appear")).toBe(sub._effectFor("remove"));
+  });
+
+  it("Shows new words with the chosen effect", function() {
+    var sub = getSubInstance("sub", { effect: "instant", driver: "css" });
+    var changed = false;
+    sub.on("afterChange", function() { changed = true; });
+    sub._applyAction(sub._computeActionsToChange([], sub._parseSentences(["Hi there"])[0]), false);
+    jasmine.clock().tick(sub.settings.speed + 5);
+    // The words are resized before they are shown
+    jasmine.clock().tick(sub.settings.speed + 50);
+    expect(calls).toEqual(["show insert", "show insert"]);
+    var visible = sub.wrapper.querySelectorAll(".sub-visible");
+    expect([].map.call(visible, function(elem) { return elem.textContent; }))
+      .toEqual(["Hi\u00a0", "there"]);
+    expect(sub.animations.length).toEqual(0);
+    expect(changed).toBe(true);
+  });
+});
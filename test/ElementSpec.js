@@ -0,0 +1,97 @@
+"use strict";
+
+describe("The <substitute-teacher> element ", function() {
+  var elem;
+
+  // Custom elements are not available in every browser
+  if (!window.customElements) {
+    return;
+  }
+
+  beforeEach(function() {
+    jasmine.clock().install();
+    elem = document.createElement("substitute-teacher");
+  });
+
+  afterEach(function() {
+    if (elem.parentNode) {
+      elem.parentNode.removeChild(elem);
+    }
+    jasmine.clock().uninstall();
+  });
+
+  it("Is a Sub.Element", function() {
+    expect(elem instanceof window.Sub.Element).toBe(true);
+    expect(elem.sub).toBe(null);
+  });
+
+  it("Reads sentences from its children when connected", function() {
+    elem.innerHTML = "<span>A quick\n  fox</span><span>A slow fox</span>";
+    document.body.appendChild(elem);
+    expect(elem.sub.rawSentences).toEqual(["A quick fox", "A slow fox"]);
+    expect(elem.sub.wrapper).toBe(elem);
+  });
+
+  it("Reads sentences from the sentences attribute", function() {
+    elem.setAttribute("sentences", "[\"One\", \"Two\"]");
+    document.body.appendChild(elem);
+    expect(elem.sub.rawSentences).toEqual(["One", "Two"]);
+  });
+
+  it("Stays inert and fires an error if the sentences attribute is not an array", function() {
+    var errors = [];
+    spyOn(console, "error");
+    elem.addEventListener("error", function(e) { errors.push(e.detail.message); });
+    elem.setAttribute("sentences", "[\"One\", ");
+    expect(function() { document.body.appendChild(elem); }).not.toThrow();
+    expect(elem.sub).toBe(null);
+    expect(elem.sentences).toBe(null);
+    expect(errors).toEqual(["The sentences attribute must be a JSON array of strings."]);
+
+    expect(function() { elem.setAttribute("sentences", "{}"); }).not.toThrow();
+    expect(elem.sub).toBe(null);
+    expect(errors.length).toEqual(2);
+    expect(console.error).toHaveBeenCalled();
+
+    elem.setAttribute("sentences", "[\"One\", \"Two\"]");
+    expect(elem.sub.rawSentences).toEqual(["One", "Two"]);
+  });
+
+  it("Maps attributes to options", function() {
+    elem.setAttribute("sentences", "[\"One\", \"Two\"]");
+    elem.setAttribute("interval", "3000");
+    elem.setAttribute("speed", "100");
+    elem.setAttribute("random", "");
+    elem.setAttribute("best", "false");
+    elem.setAttribute("mobile-width", "400");
+    document.body.appendChild(elem);
+    expect(elem.sub.settings.interval).toEqual(3000);
+    expect(elem.sub.settings.speed).toEqual(100);
+    expect(elem.sub.settings.random).toBe(true);
+    expect(elem.sub.settings.best).toBe(false);
+    expect(elem.sub.settings.mobileWidth).toEqual(400);
+  });
+
+  it("Restarts when an attribute or the sentences change", function() {
+    elem.setAttribute("sentences", "[\"One\", \"Two\"]");
+    document.body.appendChild(elem);
+    var first = elem.sub;
+    elem.setAttribute("interval", "1000");
+    expect(elem.sub).not.toBe(first);
+    expect(elem.sub.settings.interval).toEqual(1000);
+
+    elem.sentences = ["Three", "Four"];
+    expect(elem.sub.rawSentences).toEqual(["Three", "Four"]);
+  });
+
+  it("Stops and cleans up when disconnected", function() {
+    elem.setAttribute("sentences", "[\"One\", \"Two\"]");
+    document.body.appendChild(elem);
+    var sub = elem.sub;
+    spyOn(sub, "destroy").and.callThrough();
+    document.body.removeChild(elem);
+    expect(sub.destroy).toHaveBeenCalled();
+    expect(elem.sub).toBe(null);
+    expect(elem.textContent).toEqual("One");
+  });
+});
@@ -0,0 +1,72 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub lifecycle events ", function() {
+  var Sub = getSubInstance();
+
+  afterEach(function() {
+    Sub.handlers = {};
+  });
+
+  it("Calls handlers with the instance and the payload", function() {
+    var calls = [];
+    Sub.on("start", function(payload) {
+      calls.push([this, payload]);
+    });
+    Sub._emit("start", { value: 1 });
+    expect(calls).toEqual([[Sub, { value: 1 }]]);
+  });
+
+  it("Removes a single handler with off(name, handler)", function() {
+    var calls = [];
+    var first = function() { calls.push("first"); };
+    var second = function() { calls.push("second"); };
+    Sub.on("stop", first).on("stop", second).off("stop", first);
+    Sub._emit("stop", {});
+    expect(calls).toEqual(["second"]);
+  });
+
+  it("Removes every handler with off(name)", function() {
+    var calls = [];
+    Sub.on("stop", function() { calls.push("stop"); });
+    Sub.off("stop");
+    Sub._emit("stop", {});
+    expect(calls).toEqual([]);
+  });
+
+  it("Fires beforeChange and afterChange around an action", function() {
+    var events = [];
+    var action = Sub._computeActionsToChange([], []);
+    Sub.on("beforeChange", function(payload) {
+      events.push(["beforeChange", payload.action]);
+    });
+    Sub.on("afterChange", function(payload) {
+      events.push(["afterChange", payload.action]);
+    });
+    Sub._applyAction(action, false);
+    expect(events).toEqual([["beforeChange", action], ["afterChange", action]]);
+  });
+
+  it("Fires loop when an action completes a cycle", function() {
+    var loops = [];
+    Sub.on("loop", function(payload) {
+      loops.push(payload.action);
+    });
+    var action = Sub._computeActionsToChange([], []);
+    Sub._applyAction(action, false);
+    Sub._applyAction(action, true);
+    expect(loops).toEqual([action]);
+  });
+
+  it("Fires afterChange and loop once when every word is kept", function() {
+    var sub = getSubInstance();
+    var sentence = sub._parseSentences(["Hello world"])[0];
+    sub._applyAction(sub._computeActionsToChange([], sentence), false);
+    sub._finishAnimations();
+    var events = [];
+    sub.on("afterChange", function() { events.push("afterChange"); });
+    sub.on("loop", function() { events.push("loop"); });
+    sub._applyAction(sub._computeActionsToChange(sentence, sentence), true);
+    expect(events).toEqual(["afterChange", "loop"]);
+  });
+});
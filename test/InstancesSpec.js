@@ -0,0 +1,71 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub with several instances on a page ", function() {
+  // A namespace of their own, so that instances made by other specs do not
+  // share the style element
+  var ids = ["multi-first", "multi-second", "multi-third"];
+  var subs;
+
+  function styles() {
+    return [].filter.call(document.getElementsByTagName("style"), function(style) {
+      return style.textContent.indexOf("font-family: multi-empty") !== -1;
+    });
+  }
+
+  function words(sub) {
+    return [].map.call(sub.wrapper.querySelectorAll(".multi-visible"), function(word) {
+      return word.textContent;
+    }).join("");
+  }
+
+  beforeEach(function() {
+    jasmine.clock().install();
+    subs = ids.map(function(id) {
+      return getSubInstance(id, { containerId: id, namespace: "multi", speed: 10 });
+    });
+  });
+
+  afterEach(function() {
+    subs.forEach(function(sub) {
+      sub.destroy();
+    });
+    jasmine.clock().uninstall();
+  });
+
+  it("Keeps each instance's words in its own container", function() {
+    var sentences = ["One cat", "Two cats", "Three cats"];
+    subs.forEach(function(sub, i) {
+      var sentence = sub._parseSentences([sentences[i]])[0];
+      sub._applyAction(sub._computeActionsToChange([], sentence), false);
+    });
+    jasmine.clock().tick(10);
+    subs.forEach(function(sub) {
+      sub.stop();
+    });
+    expect(subs.map(words)).toEqual(["One\u00a0cat", "Two\u00a0cats", "Three\u00a0cats"]);
+  });
+
+  it("Gives each instance its own class", function() {
+    expect(subs[0].instanceClass).not.toEqual(subs[1].instanceClass);
+    expect(subs[0].wrapper.className.split(" ")).toContain(subs[0].instanceClass);
+  });
+
+  it("Shares one style element between instances with the same namespace", function() {
+    expect(styles().length).toEqual(1);
+    subs[0].destroy();
+    subs[1].destroy();
+    expect(styles().length).toEqual(1);
+    expect(styles()[0].textContent).not.toContain(subs[0].instanceClass);
+    subs[2].destroy();
+    expect(styles().length).toEqual(0);
+  });
+
+  it("Leaves the current sentence as text when destroyed", function() {
+    var sentence = subs[0]._parseSentences(["Hello, world"])[0];
+    subs[0]._applyAction(subs[0]._computeActionsToChange([], sentence), false);
+    subs[0].destroy();
+    expect(subs[0].wrapper.textContent).toEqual("Hello, world");
+    expect(subs[0].wrapper.className).toEqual("");
+  });
+});
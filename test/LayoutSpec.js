@@ -0,0 +1,49 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub wrapping layout ", function() {
+  var Sub;
+  var action;
+
+  beforeEach(function() {
+    Sub = getSubInstance("sub", { layout: "wrap" });
+    action = Sub._computeActionsToChange([], []);
+    spyOn(Sub, "_changeEnd");
+  });
+
+  it("Marks the container as wrapping", function() {
+    expect(Sub.wrapper.className.split(" ")).toContain("sub-wrap");
+  });
+
+  it("Rejects an unknown layout", function() {
+    expect(function() { getSubInstance("sub", { layout: "grid" }); }).toThrow();
+  });
+
+  it("Grows the container before the words change", function() {
+    Sub.wrapper.style.height = "20px";
+    spyOn(Sub, "_measureHeight").and.returnValue(60);
+    Sub._applyAction(action, false);
+    expect(Sub._measureHeight).toHaveBeenCalledWith(action.to);
+    expect(Sub.wrapper.style.height).toEqual("60px");
+  });
+
+  it("Shrinks the container once the words have changed", function() {
+    Sub.wrapper.style.height = "60px";
+    spyOn(Sub, "_measureHeight").and.returnValue(20);
+    Sub._applyAction(action, false);
+    expect(Sub.wrapper.style.height).toEqual("60px");
+
+    Sub._changeEnd.and.callThrough();
+    Sub._changeEnd(Sub._changeEnd.calls.mostRecent().args[0]);
+    expect(Sub.wrapper.style.height).toEqual("20px");
+  });
+
+  it("Leaves the height alone in the line layout", function() {
+    var lineSub = getSubInstance();
+    lineSub.wrapper.style.height = "20px";
+    spyOn(lineSub, "_measureHeight");
+    lineSub._applyAction(action, false);
+    expect(lineSub._measureHeight).not.toHaveBeenCalled();
+    expect(lineSub.wrapper.style.height).toEqual("20px");
+  });
+});
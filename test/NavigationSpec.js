@@ -0,0 +1,79 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub manual navigation ", function() {
+  var Sub = getSubInstance();
+  var sentences = ["A quick fox", "A slow fox", "A slow dog"];
+
+  beforeEach(function() {
+    Sub.settings.best = false;
+    Sub.currentSentence = Sub._parseSentences(sentences)[0];
+    Sub.setSentences(sentences);
+    spyOn(Sub, "_applyAction").and.callFake(function(action) {
+      Sub.currentSentence = action.to;
+    });
+  });
+
+  it("Reports the current sentence", function() {
+    expect(Sub.current()).toEqual({ index: 0, text: "A quick fox" });
+    Sub.currentSentence = [];
+    expect(Sub.current()).toBe(null);
+  });
+
+  it("Moves forward with next()", function() {
+    Sub.next();
+    expect(Sub.current()).toEqual({ index: 1, text: "A slow fox" });
+    Sub.next().next();
+    expect(Sub.current()).toEqual({ index: 0, text: "A quick fox" });
+  });
+
+  it("Moves backward with prev()", function() {
+    Sub.prev();
+    expect(Sub.current()).toEqual({ index: 2, text: "A slow dog" });
+    Sub.prev();
+    expect(Sub.current()).toEqual({ index: 1, text: "A slow fox" });
+  });
+
+  it("Jumps to a sentence by index or text with goTo()", function() {
+    Sub.goTo(2);
+    expect(Sub.current()).toEqual({ index: 2, text: "A slow dog" });
+    Sub.goTo("A slow fox");
+    expect(Sub.current()).toEqual({ index: 1, text: "A slow fox" });
+    expect(function() { Sub.goTo(5); }).toThrow();
+  });
+
+  it("Continues the rotation from the sentence navigated to", function() {
+    Sub.goTo(1);
+    Sub.next();
+    expect(Sub.current()).toEqual({ index: 2, text: "A slow dog" });
+  });
+
+  it("Counts whole loops however the rotation was navigated", function() {
+    var counts = [];
+    Sub.loopCount = 0;
+    Sub.on("loop", function(payload) { counts.push(payload.count); });
+    Sub._applyAction.and.callFake(function(action, completesLoop) {
+      Sub.currentSentence = action.to;
+      Sub._changeEnd({ action: action, completesLoop: completesLoop, options: {} });
+    });
+    jasmine.clock().install();
+    Sub._sentenceLoop();
+    Sub.prev();
+    Sub.goTo(2);
+    Sub.next().next().next();
+    Sub._sentenceLoop();
+    Sub._sentenceLoop();
+    Sub._sentenceLoop();
+    Sub._sentenceLoop();
+    jasmine.clock().uninstall();
+    Sub.off("loop");
+    expect(counts).toEqual([1, 2]);
+  });
+
+  it("Animates from the sentence on screen", function() {
+    Sub.goTo(2);
+    var action = Sub._applyAction.calls.mostRecent().args[0];
+    expect(action.from).toEqual(Sub.sentences[0]);
+    expect(action.to).toEqual(Sub.sentences[2]);
+  });
+});
@@ -1,14 +1,23 @@
 /* global getSubInstance */
 "use strict";
 
+// Render each token of a parsed sentence the way it would appear in the page.
+function renderTokens(sub, sentence) {
+  return sentence.map(function(token) {
+    var elem = document.createElement("span");
+    sub._renderToken(elem, token);
+    return sub.settings.markup === "rich" ? elem.innerHTML : elem.textContent;
+  });
+}
+
 describe("Sub._parseSentences works as expected ", function() {
-  var Sub = getSubInstance();
+  var Sub = getSubInstance("sub", { tokenizer: "legacy" });
 
   var testCases = [
     {
       description: "Splits on spaces",
       in: "A multiword test",
-      out: ["A&nbsp;", "multiword&nbsp;", "test"]
+      out: ["A\u00a0", "multiword\u00a0", "test"]
     },
     {
       description: "A single word is valid",
@@ -23,12 +32,12 @@ describe("Sub._parseSentences works as expected ", function() {
     {
       description: "Splits on tabs",
       in: "Even\ttabs\twork",
-      out: ["Even&nbsp;", "tabs&nbsp;", "work"]
+      out: ["Even\u00a0", "tabs\u00a0", "work"]
     },
     {
       description: "Handles common punctuation ,.;:?!\" and parentheses apropriately",
       in: "Ok; we are \"here\": in Wilkes-Barre!?, finally.",
-      out: ["Ok", ";&nbsp;", "we&nbsp;", "are&nbsp;", "\"", "here", "\"", ":&nbsp;", "in&nbsp;", "Wilkes-Barre", "!", "?", ",&nbsp;", "finally", "."],
+      out: ["Ok", ";\u00a0", "we\u00a0", "are\u00a0", "\"", "here", "\"", ":\u00a0", "in\u00a0", "Wilkes-Barre", "!", "?", ",\u00a0", "finally", "."],
     },
     {
       description: "Handles uncommon characters +/[]*{}() apropriately",
@@ -38,13 +47,173 @@ describe("Sub._parseSentences works as expected ", function() {
     {
       description: "The characters -#$%^&_`~' do not break up words",
       in: "I am #1 with $5x10^6 in sales of `test-word_units, a 50% increase over A&M's",
-      out: ["I&nbsp;", "am&nbsp;", "#1&nbsp;", "with&nbsp;", "$5x10^6&nbsp;", "in&nbsp;", "sales&nbsp;", "of&nbsp;", "`test-word_units", ",&nbsp;", "a&nbsp;", "50%&nbsp;", "increase&nbsp;", "over&nbsp;", "A&M's"]
+      out: ["I\u00a0", "am\u00a0", "#1\u00a0", "with\u00a0", "$5x10^6\u00a0", "in\u00a0", "sales\u00a0", "of\u00a0", "`test-word_units", ",\u00a0", "a\u00a0", "50%\u00a0", "increase\u00a0", "over\u00a0", "A&M's"]
+    },
+    {
+      description: "Glues punctuation and parentheses to their words",
+      in: "Well ( in here ) , ok .",
+      out: ["Well\u00a0", "(", "in\u00a0", "here", ")", ",\u00a0", "ok", "."]
+    },
+    {
+      description: "Glues quotes to the words inside them",
+      in: "She said \" hi there \" .",
+      out: ["She\u00a0", "said\u00a0", "\"", "hi\u00a0", "there", "\"", "."]
     }
   ];
 
   testCases.forEach(function(testCase) {
     it(testCase.description, function() {
-      expect(Sub._parseSentences([testCase.in])).toEqual([testCase.out]);
+      expect(renderTokens(Sub, Sub._parseSentences([testCase.in])[0])).toEqual(testCase.out);
     });
   });
-});
\ No newline at end of file
+
+  it("Records spacing and attachment on each token", function() {
+    expect(Sub._parseSentences(["Hi (there)."])).toEqual([[
+      { text: "Hi", spaceBefore: false, spaceAfter: true, attach: null },
+      { text: "(", spaceBefore: true, spaceAfter: false, attach: "right" },
+      { text: "there", spaceBefore: false, spaceAfter: false, attach: null },
+      { text: ")", spaceBefore: false, spaceAfter: false, attach: "left" },
+      { text: ".", spaceBefore: false, spaceAfter: false, attach: "left" }
+    ]]);
+  });
+});
+describe("Sub._parseSentences with a granularity ", function() {
+  var charSub = getSubInstance("sub", { granularity: "char" });
+  var graphemeSub = getSubInstance("sub", { granularity: "grapheme" });
+
+  var testCases = [
+    {
+      description: "Splits into characters, collapsing whitespace",
+      sub: charSub,
+      in: "A  cat!",
+      out: ["A\u00a0", "c", "a", "t", "!"]
+    },
+    {
+      description: "Keeps characters outside the BMP whole",
+      sub: charSub,
+      in: "ok \uD83D\uDC4D",
+      out: ["o", "k\u00a0", "\uD83D\uDC4D"]
+    },
+    {
+      description: "Keeps combining marks with their grapheme",
+      sub: graphemeSub,
+      in: "Cafe\u0301 ok",
+      out: ["C", "a", "f", "e\u0301\u00a0", "o", "k"]
+    },
+    {
+      description: "Keeps emoji modifiers with their grapheme",
+      sub: graphemeSub,
+      in: "\uD83D\uDC4D\uD83C\uDFFD!",
+      out: ["\uD83D\uDC4D\uD83C\uDFFD", "!"]
+    }
+  ];
+
+  testCases.forEach(function(testCase) {
+    it(testCase.description, function() {
+      expect(renderTokens(testCase.sub, testCase.sub._parseSentences([testCase.in])[0])).toEqual(testCase.out);
+    });
+  });
+
+  it("Rejects an unknown granularity", function() {
+    var sub = getSubInstance("sub", { granularity: "sentence" });
+    expect(function() { sub._parseSentences(["A cat"]); }).toThrow();
+  });
+});
+
+describe("Sub._parseSentences with rich markup ", function() {
+  var Sub = getSubInstance("sub", { markup: "rich", tokenizer: "legacy" });
+
+  var testCases = [
+    {
+      description: "Wraps each token in the elements around it",
+      in: "A <b>bold move</b> here",
+      out: ["A&nbsp;", "<b>bold</b>&nbsp;", "<b>move</b>&nbsp;", "here"]
+    },
+    {
+      description: "Nests elements",
+      in: "<em>So <strong>very</strong></em>!",
+      out: ["<em>So</em>&nbsp;", "<em><strong>very</strong></em>", "!"]
+    },
+    {
+      description: "Keeps safe links and classes",
+      in: "<a href=\"/docs?a=1&amp;b=2\">Docs</a> <span class=\"hot new\">now</span>",
+      out: ["<a href=\"/docs?a=1&amp;b=2\">Docs</a>&nbsp;", "<span class=\"hot new\">now</span>"]
+    },
+    {
+      description: "Drops unsafe urls and attributes",
+      in: "<a href=\"javascript:alert(1)\" onclick=\"alert(1)\">Click</a>",
+      out: ["<a>Click</a>"]
+    },
+    {
+      description: "Removes elements that are not allowed, keeping their text",
+      in: "<script>alert(1)</script> <img src=x onerror=alert(1)>ok",
+      out: ["alert", "(", "1", ")&nbsp;", "ok"]
+    },
+    {
+      description: "Escapes text, so that it is never interpreted as markup",
+      in: "1 &lt; 2 &amp; A&M",
+      out: ["1&nbsp;", "&lt;&nbsp;", "2&nbsp;", "&amp;&nbsp;", "A&amp;M"]
+    }
+  ];
+
+  testCases.forEach(function(testCase) {
+    it(testCase.description, function() {
+      expect(renderTokens(Sub, Sub._parseSentences([testCase.in])[0])).toEqual(testCase.out);
+    });
+  });
+
+  it("Decodes references to characters outside the Basic Multilingual Plane", function() {
+    var sentence = Sub._parseSentences(["&#x1F600; &#128512; &#xD800; &#x110000;"])[0];
+    expect(sentence.map(function(token) { return token.text; }))
+      .toEqual(["\uD83D\uDE00", "\uD83D\uDE00", "&#xD800", ";", "&#x110000", ";"]);
+  });
+});
+
+describe("Sub._parseSentences with a tokenizer ", function() {
+  var canSegment = typeof Intl !== "undefined" && typeof Intl.Segmenter === "function";
+
+  it("Splits sentences without spaces into words by default", function() {
+    var sub = getSubInstance();
+    var words = renderTokens(sub, sub._parseSentences(["\u79c1\u306f\u732b\u3067\u3059\u3002"])[0]);
+    if (canSegment) {
+      expect(words).toEqual(["\u79c1", "\u306f", "\u732b", "\u3067\u3059", "\u3002"]);
+    } else {
+      expect(words).toEqual(["\u79c1\u306f\u732b\u3067\u3059\u3002"]);
+    }
+  });
+
+  it("Keeps spacing and punctuation by default", function() {
+    var sub = getSubInstance();
+    expect(renderTokens(sub, sub._parseSentences(["Ok ( so ) , Stra\u00dfe f\u00e4hrt!"])[0]))
+      .toEqual(["Ok\u00a0", "(", "so", ")", ",\u00a0", "Stra\u00dfe\u00a0", "f\u00e4hrt", "!"]);
+  });
+
+  it("Accepts a function returning words and whitespace", function() {
+    var sub = getSubInstance("sub", {
+      tokenizer: function(rawSentence) { return rawSentence.split(/(\s+|,)/); }
+    });
+    expect(sub._parseSentences(["one two , three"])).toEqual([[
+      { text: "one", spaceBefore: false, spaceAfter: true, attach: null },
+      { text: "two", spaceBefore: true, spaceAfter: false, attach: null },
+      { text: ",", spaceBefore: false, spaceAfter: true, attach: "left" },
+      { text: "three", spaceBefore: true, spaceAfter: false, attach: null }
+    ]]);
+  });
+
+  it("Accepts a function returning tokens", function() {
+    var sub = getSubInstance("sub", {
+      tokenizer: function() { return [{ text: "a", spaceAfter: true }, { text: "b" }]; }
+    });
+    expect(renderTokens(sub, sub._parseSentences(["ignored"])[0])).toEqual(["a\u00a0", "b"]);
+  });
+
+  it("Rejects a tokenizer that does not return an array", function() {
+    var sub = getSubInstance("sub", { tokenizer: function() { return "a b"; } });
+    expect(function() { sub._parseSentences(["a b"]); }).toThrow();
+  });
+
+  it("Rejects an unknown tokenizer", function() {
+    var sub = getSubInstance("sub", { tokenizer: "regex" });
+    expect(function() { sub._parseSentences(["A cat"]); }).toThrow();
+  });
+});
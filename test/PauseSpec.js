@@ -0,0 +1,115 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub pausing ", function() {
+  var Sub;
+  var events;
+
+  function fire(target, type) {
+    var event = document.createEvent("Event");
+    event.initEvent(type, false, false);
+    target.dispatchEvent(event);
+  }
+
+  beforeEach(function() {
+    Sub = getSubInstance("sub", {
+      pauseOnHover: true,
+      pauseOnFocus: true,
+      pauseOnHidden: false
+    });
+    events = [];
+    Sub.on("pause", function(payload) { events.push(["pause", payload.reason]); });
+    Sub.on("resume", function(payload) { events.push(["resume", payload.reason]); });
+    Sub._addPauseListeners();
+  });
+
+  afterEach(function() {
+    Sub._removePauseListeners();
+    Sub.handlers = {};
+  });
+
+  it("Pauses while the pointer is over the container", function() {
+    fire(Sub.wrapper, "mouseenter");
+    expect(Sub.isPaused).toBe(true);
+    fire(Sub.wrapper, "mouseleave");
+    expect(Sub.isPaused).toBe(false);
+    expect(events).toEqual([["pause", "hover"], ["resume", "hover"]]);
+  });
+
+  it("Pauses while the container has focus", function() {
+    fire(Sub.wrapper, "focusin");
+    expect(Sub.isPaused).toBe(true);
+    fire(Sub.wrapper, "focusout");
+    expect(Sub.isPaused).toBe(false);
+  });
+
+  it("Only resumes once every reason to pause has gone", function() {
+    Sub.pause();
+    fire(Sub.wrapper, "mouseenter");
+    fire(Sub.wrapper, "mouseleave");
+    expect(Sub.isPaused).toBe(true);
+    Sub.resume();
+    expect(Sub.isPaused).toBe(false);
+    expect(events).toEqual([["pause", "manual"], ["resume", "manual"]]);
+  });
+
+  it("Stays paused by the pointer when the loop stops and starts again", function() {
+    jasmine.clock().install();
+    fire(Sub.wrapper, "mouseenter");
+    Sub._stop();
+    Sub._run();
+    expect(Sub.isPaused).toBe(true);
+    expect(Sub.loopTimer.id).toBe(null);
+    fire(Sub.wrapper, "mouseleave");
+    expect(Sub.isPaused).toBe(false);
+    expect(Sub.loopTimer.id).not.toBe(null);
+
+    fire(Sub.wrapper, "mouseenter");
+    Sub.stop();
+    expect(Sub.isPaused).toBe(false);
+    expect(Sub.pauseReasons).toEqual({});
+    jasmine.clock().uninstall();
+  });
+
+  it("Stops listening when removed", function() {
+    Sub._removePauseListeners();
+    fire(Sub.wrapper, "mouseenter");
+    expect(Sub.isPaused).toBe(false);
+  });
+
+  it("Pauses while the page is hidden", function() {
+    var state = "hidden";
+    Object.defineProperty(document, "visibilityState", {
+      configurable: true,
+      get: function() { return state; }
+    });
+    Sub.settings.pauseOnHidden = true;
+    Sub._addPauseListeners();
+    expect(Sub.isPaused).toBe(true);
+    state = "visible";
+    fire(document, "visibilitychange");
+    expect(Sub.isPaused).toBe(false);
+    delete document.visibilityState;
+  });
+
+  it("Pauses while the container is offscreen", function() {
+    var IntersectionObserver = window.IntersectionObserver;
+    var observed = null;
+    var callback = null;
+    window.IntersectionObserver = function(fn) {
+      callback = fn;
+      this.observe = function(elem) { observed = elem; };
+      this.disconnect = function() { observed = null; };
+    };
+    Sub.settings.pauseOnOffscreen = true;
+    Sub._addPauseListeners();
+    expect(observed).toBe(Sub.wrapper);
+    callback([{ isIntersecting: false }]);
+    expect(Sub.isPaused).toBe(true);
+    callback([{ isIntersecting: true }]);
+    expect(Sub.isPaused).toBe(false);
+    Sub._removePauseListeners();
+    expect(observed).toBe(null);
+    window.IntersectionObserver = IntersectionObserver;
+  });
+});
@@ -0,0 +1,129 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub precomputed plans ", function() {
+  var sentences = ["A cat", "The big dog", "A dog", "A big cat"];
+
+  function order(sub) {
+    return sub.actions.map(function(action) {
+      return sub.sentences.indexOf(action.to);
+    });
+  }
+
+  it("Saves a plan as JSON", function() {
+    var plan = Sub.plan(sentences);
+    var serialized = JSON.parse(JSON.stringify(Sub.serializePlan(plan)));
+    expect(serialized.sentences).toEqual(sentences);
+    expect(serialized.order).toEqual(plan.order);
+    expect(serialized.actions.length).toEqual(4);
+    expect(serialized.actions[0].to).toEqual(plan.order[0]);
+  });
+
+  it("Uses the plan instead of ordering the sentences", function() {
+    // A plan that keeps the sentences in order, given to a Sub that would
+    // otherwise order them to change as little as possible
+    var plan = Sub.serializePlan(Sub.plan(sentences, { best: false }));
+    var sub = getSubInstance("sub", { plan: JSON.stringify(plan) });
+    sub.setSentences(sentences);
+    expect(order(sub)).toEqual([0, 1, 2, 3]);
+    expect(sub.actions[2].sub[0].fromWord).toBe(sub.sentences[1][0]);
+    expect(sub.actions).toEqual(Sub.plan(sentences, { best: false }).actions);
+  });
+
+  it("Orders the sentences as usual if the plan does not fit them", function() {
+    var plan = Sub.serializePlan(Sub.plan(sentences, { best: false }));
+    var sub = getSubInstance("sub", { plan: plan });
+    sub.setSentences(["A cat", "A dog"]);
+    expect(sub.actions.length).toEqual(2);
+    sub.setSentences(sentences);
+    expect(order(sub)).toEqual([0, 1, 2, 3]);
+
+    // Words that are split up differently don't fit either
+    var chars = getSubInstance("sub", { plan: plan, granularity: "char", best: false });
+    chars.setSentences(sentences);
+    expect(chars.actions[1].to.length).toEqual(9);
+  });
+
+  it("Checks that each action accounts for every word", function() {
+    var plan = Sub.serializePlan(Sub.plan(sentences, { best: false }));
+    plan.actions[0].keep = [];
+    var sub = getSubInstance("sub", { plan: plan, best: false });
+    sub.setSentences(sentences);
+    expect(sub.actions[0].keep.length).toEqual(2);
+  });
+
+  describe("ignores a plan ", function() {
+    var plan;
+
+    function load(changed) {
+      var sub = getSubInstance("sub", { plan: changed, best: false });
+      sub.setSentences(sentences);
+      return sub;
+    }
+
+    beforeEach(function() {
+      plan = Sub.serializePlan(Sub.plan(sentences, { best: false }));
+    });
+
+    it("that is not a plan", function() {
+      expect(order(load({ actions: [] }))).toEqual([0, 1, 2, 3]);
+      expect(order(load("{ not json"))).toEqual([0, 1, 2, 3]);
+      plan.version = 2;
+      expect(order(load(plan))).toEqual([0, 1, 2, 3]);
+    });
+
+    it("whose actions are not lists of word indices", function() {
+      var broken = [
+        { keep: 5 },
+        { sub: [null] },
+        { insert: "x" },
+        { move: [1] },
+        { keep: [[0, 1.5]] },
+        { remove: [-1] },
+        { insert: [7] },
+        { sub: undefined },
+        { from: "3" }
+      ];
+      broken.forEach(function(change) {
+        var changed = JSON.parse(JSON.stringify(plan));
+        Object.keys(change).forEach(function(key) {
+          changed.actions[0][key] = change[key];
+        });
+        var sub;
+        expect(function() { sub = load(changed); }).not.toThrow();
+        expect(order(sub)).toEqual([0, 1, 2, 3]);
+        expect(Sub.core.loadPlan(changed, sub.sentences)).toBe(null);
+      });
+      plan.actions[1] = null;
+      expect(Sub.core.loadPlan(plan, load(plan).sentences)).toBe(null);
+    });
+
+    it("without an action for every sentence", function() {
+      plan.actions = [];
+      expect(load(plan).actions.length).toEqual(4);
+    });
+
+    it("that skips a sentence", function() {
+      // 3 -> 0 -> 1 -> 3 -> 0, never showing sentence 2
+      plan.actions[2] = { from: 1, to: 3, keep: [], sub: [[0, 0], [1, 1], [2, 2]], remove: [], insert: [], move: [] };
+      plan.order[2] = 3;
+      expect(order(load(plan))).toEqual([0, 1, 2, 3]);
+    });
+
+    it("whose actions do not follow on from each other", function() {
+      // Each sentence is shown once, but 1 is shown from 2 before 2 is shown
+      plan.actions = [plan.actions[0], plan.actions[2], plan.actions[1], plan.actions[3]];
+      plan.order = [0, 2, 1, 3];
+      var sub = load(plan);
+      expect(order(sub)).toEqual([0, 1, 2, 3]);
+      expect(Sub.core.loadPlan(plan, sub.sentences)).toBe(null);
+    });
+
+    it("whose order does not match its actions", function() {
+      plan.order = [3, 2, 1, 0];
+      var sub = load(plan);
+      expect(order(sub)).toEqual([0, 1, 2, 3]);
+      expect(Sub.core.loadPlan(plan, sub.sentences)).toBe(null);
+    });
+  });
+});
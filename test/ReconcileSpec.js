@@ -0,0 +1,77 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub word reconciliation ", function() {
+  var Sub;
+  var long = "w0 w1 w2 w3 w4 w5 w6 w7 w8 w9 w10 w11";
+  var changed = "w0 x1 w2 w3 w4 w5 w6 w7 w8 w9 w10 x11";
+
+  function show(sentence) {
+    Sub._applyAction(Sub._computeActionsToChange(Sub.currentSentence, sentence), false);
+    Sub._finishAnimations();
+  }
+
+  function shown() {
+    return [].map.call(Sub.wrapper.querySelectorAll(".sub-visible"), function(elem) {
+      return elem.textContent;
+    });
+  }
+
+  function expected(sentence) {
+    return sentence.map(function(token) {
+      return token.text + (token.spaceAfter ? "\u00a0" : "");
+    });
+  }
+
+  beforeEach(function() {
+    Sub = getSubInstance();
+    Sub.setSentences([long, changed]);
+    show(Sub.sentences[0]);
+  });
+
+  it("Keeps track of each word, however long the sentence", function() {
+    spyOn(Sub, "_reconcile").and.callThrough();
+    show(Sub.sentences[1]);
+    expect(Sub._reconcile).toHaveBeenCalledWith(Sub.sentences[1]);
+    expect(Sub._reconcile.calls.mostRecent().returnValue).toBe(false);
+    show(Sub.sentences[0]);
+    expect(shown()).toEqual(expected(Sub.sentences[0]));
+    expect(Sub.words.length).toEqual(12);
+  });
+
+  it("Does not rebuild the words after a change between directions", function() {
+    var hebrew = "\u05e9\u05dc\u05d5\u05dd \u05e2\u05d5\u05dc\u05dd";
+    Sub.setSentences(["A dog (sat)!", "one " + hebrew + " two", "one " + hebrew + " and " + hebrew]);
+    show(Sub.sentences[0]);
+    spyOn(Sub, "_reconcile").and.callThrough();
+    show(Sub.sentences[1]);
+    show(Sub.sentences[2]);
+    show(Sub.sentences[0]);
+    expect(Sub._reconcile.calls.count()).toEqual(3);
+    Sub._reconcile.calls.all().forEach(function(call) {
+      expect(call.returnValue).toBe(false);
+    });
+  });
+
+  it("Leaves words that match the sentence alone", function() {
+    var elem = Sub.words[3].elem;
+    expect(Sub._reconcile(Sub.currentSentence)).toBe(false);
+    expect(Sub.words[3].elem).toBe(elem);
+  });
+
+  it("Renders a word showing the wrong text again", function() {
+    Sub.words[10].visible.textContent = "oops";
+    Sub.words[4].visible.style.opacity = "0.5";
+    expect(Sub._reconcile(Sub.currentSentence)).toBe(true);
+    expect(shown()).toEqual(expected(Sub.currentSentence));
+    expect(Sub.words[4].visible.style.opacity).toEqual("1");
+  });
+
+  it("Rebuilds the words if any are missing or out of place", function() {
+    Sub.wrapper.removeChild(Sub.words[5].elem);
+    Sub.wrapper.insertBefore(Sub.words[7].elem, Sub.words[0].elem);
+    expect(Sub._reconcile(Sub.currentSentence)).toBe(true);
+    expect(shown()).toEqual(expected(Sub.currentSentence));
+    expect(Sub.wrapper.querySelectorAll(".sub-word").length).toEqual(12);
+  });
+});
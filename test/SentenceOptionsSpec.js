@@ -0,0 +1,64 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub sentence options ", function() {
+  var Sub;
+  var sentences = [
+    "A quick fox",
+    { text: "A slow fox", interval: 9000, className: "slow", data: { id: 2 } },
+    { text: "A slow dog", interval: "auto" }
+  ];
+
+  beforeEach(function() {
+    Sub = getSubInstance("sub", { interval: 4000 });
+    Sub.setSentences(sentences);
+  });
+
+  it("Accepts strings and objects", function() {
+    expect(Sub.sentences.length).toEqual(3);
+    expect(Sub.sentences[1].map(function(token) { return token.text; })).toEqual(["A", "slow", "fox"]);
+    expect(function() { Sub.setSentences([{ interval: 100 }]); }).toThrow();
+  });
+
+  it("Finds object sentences by text", function() {
+    Sub.goTo("A slow fox");
+    expect(Sub.current()).toEqual({ index: 1, text: "A slow fox" });
+    Sub.removeSentence("A slow fox");
+    expect(Sub.rawSentences).toEqual([sentences[0], sentences[2]]);
+  });
+
+  it("Shows each sentence for its own interval", function() {
+    expect(Sub._intervalFor(Sub.sentences[0])).toEqual(4000);
+    expect(Sub._intervalFor(Sub.sentences[1])).toEqual(9000);
+  });
+
+  it("Rejects an unknown interval straight away", function() {
+    expect(function() { getSubInstance("sub", { interval: "slow" }); }).toThrow("Unknown interval: slow");
+    expect(function() { Sub.setSentences([{ text: "A cat", interval: "slow" }]); }).toThrow("Unknown interval: slow");
+    expect(Sub.sentences.length).toEqual(3);
+  });
+
+  it("Derives an automatic interval from the length of the sentence", function() {
+    // 10 characters are two words, which take 600ms at 200 words a minute
+    expect(Sub._intervalFor(Sub.sentences[2])).toEqual(1600);
+    var autoSub = getSubInstance("sub", { interval: "auto", readingSpeed: 100 });
+    autoSub.setSentences(["A quick fox"]);
+    expect(autoSub._intervalFor(autoSub.sentences[0])).toEqual(2320);
+  });
+
+  it("Adds the class of the sentence on screen to the container", function() {
+    Sub._applyAction(Sub._computeActionsToChange([], Sub.sentences[1]), false);
+    expect(Sub.wrapper.className.split(" ")).toContain("slow");
+    Sub._applyAction(Sub._computeActionsToChange([], Sub.sentences[0]), false);
+    expect(Sub.wrapper.className.split(" ")).not.toContain("slow");
+    expect(Sub.wrapper.className.split(" ")).toContain("sub");
+  });
+
+  it("Passes the data of the sentence to event handlers", function() {
+    var data = [];
+    Sub.on("beforeChange", function(e) { data.push(e.data); });
+    Sub._applyAction(Sub._computeActionsToChange([], Sub.sentences[1]), false);
+    Sub._applyAction(Sub._computeActionsToChange([], Sub.sentences[0]), false);
+    expect(data).toEqual([{ id: 2 }, undefined]);
+  });
+});
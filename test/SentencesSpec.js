@@ -0,0 +1,69 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub sentence management ", function() {
+  var Sub = getSubInstance();
+  var sentences = ["A quick fox", "A slow fox", "A slow dog"];
+
+  beforeEach(function() {
+    Sub.currentSentence = [];
+    Sub.setSentences(sentences);
+  });
+
+  it("Builds one action per sentence", function() {
+    expect(Sub.rawSentences).toEqual(sentences);
+    expect(Sub.actions.length).toEqual(3);
+  });
+
+  it("Keeps a single sentence on screen", function() {
+    Sub.setSentences(["Alone"]);
+    expect(Sub.actions.length).toEqual(1);
+    expect(Sub.actions[0].cost).toEqual(0);
+  });
+
+  it("Adds a sentence at the end, or at an index", function() {
+    Sub.addSentence("A lazy dog");
+    Sub.addSentence("The first", 0);
+    expect(Sub.rawSentences).toEqual(["The first"].concat(sentences, ["A lazy dog"]));
+    expect(Sub.actions.length).toEqual(5);
+  });
+
+  it("Removes a sentence by index or by text", function() {
+    Sub.removeSentence(0);
+    Sub.removeSentence("A slow dog");
+    expect(Sub.rawSentences).toEqual(["A slow fox"]);
+    expect(Sub.actions.length).toEqual(1);
+  });
+
+  it("Throws when removing a sentence that does not exist", function() {
+    expect(function() { Sub.removeSentence("Nope"); }).toThrow();
+  });
+
+  it("Loops after a full cycle through the sentences added or removed", function() {
+    var sub = getSubInstance("sub", { best: false });
+    var loops = [];
+    sub.setSentences(sentences);
+    jasmine.clock().install();
+    spyOn(sub, "_applyAction").and.callFake(function(action, completesLoop) {
+      sub.currentSentence = action.to;
+      loops.push(completesLoop);
+    });
+    sub._sentenceLoop();
+    sub.removeSentence("A slow dog");
+    sub._sentenceLoop();
+    sub._sentenceLoop();
+    sub.addSentence("A lazy dog");
+    sub._sentenceLoop();
+    sub._sentenceLoop();
+    sub._sentenceLoop();
+    jasmine.clock().uninstall();
+    expect(loops).toEqual([false, false, true, false, false, true]);
+    expect(sub.loopCount).toEqual(2);
+  });
+
+  it("Starts the next action from the sentence on screen", function() {
+    Sub.currentSentence = Sub._parseSentences(["A slow dog"])[0];
+    Sub.setSentences(sentences.concat(["A lazy dog"]));
+    expect(Sub.actions[0].from).toEqual(Sub.currentSentence);
+  });
+});
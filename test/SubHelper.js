@@ -1,14 +1,18 @@
 /* jshint unused: false */
 "use strict";
 
-function getSubInstance(id) {
+function getSubInstance(id, options) {
 	id = id || "sub";
 	if (!document.getElementById(id)) {
       var div = document.createElement("div");
 		div.id = id;
 		document.body.appendChild(div);
 	}
-	return new window.Sub([], {
-		_testing: true
-	});
+	var opts = { _testing: true };
+	for (var key in options) {
+		if (options.hasOwnProperty(key)) {
+			opts[key] = options[key];
+		}
+	}
+	return new window.Sub([], opts);
 }
@@ -0,0 +1,74 @@
+/* global getSubInstance */
+"use strict";
+
+describe("Sub timing ", function() {
+  beforeEach(function() {
+    jasmine.clock().install();
+  });
+
+  afterEach(function() {
+    jasmine.clock().uninstall();
+  });
+
+  it("Eases transitions with the given timing function", function() {
+    var sub = getSubInstance("sub", { namespace: "eased", easing: "ease-in-out" });
+    var css = [].map.call(document.querySelectorAll("style"), function(style) {
+      return style.textContent;
+    }).join("");
+    expect(css).toContain("." + sub.instanceClass + " .eased-animating");
+    expect(css).toContain("transition: 0.2s all ease-in-out;");
+    sub.destroy();
+  });
+
+  it("Times each step with speed unless given a duration", function() {
+    var sub = getSubInstance("sub", { speed: 300, durations: { resize: 500, show: 0 } });
+    expect(sub.settings.durations).toEqual({ hide: 300, resize: 500, show: 0 });
+  });
+
+  it("Staggers changed words in the order they are seen", function() {
+    var sub = getSubInstance("sub", { stagger: 50 });
+    var sentence = sub._parseSentences(["A quick brown fox"])[0];
+    var changes = [{ fromIndex: 3 }, { fromIndex: 1 }];
+    expect(sub._staggerDelays(sentence, changes, "fromIndex")).toEqual({ 1: 0, 3: 50 });
+    expect(sub._staggerDelays(sentence, changes, "fromIndex", 2)).toEqual({ 1: 100, 3: 150 });
+  });
+
+  it("Staggers inserted words after the subbed and removed ones", function() {
+    var sub = getSubInstance("sub", { stagger: 100 });
+    var sentences = sub._parseSentences(["A quick fox", "The slow fox jumps high"]);
+    sub._applyAction(sub._computeActionsToChange([], sentences[0]), false);
+    sub._finishAnimations();
+    var action = sub._computeActionsToChange(sentences[0], sentences[1]);
+    expect(action.sub.length).toEqual(2);
+    expect(action.insert.length).toEqual(2);
+    sub._applyAction(action, false);
+    expect(sub.animations.filter(function(animation) {
+      return animation.type === "sub";
+    }).length).toEqual(2);
+    jasmine.clock().tick(sub.settings.durations.hide);
+    var inserts = sub.animations.filter(function(animation) {
+      return animation.type === "insert";
+    });
+    expect(inserts.map(function(animation) { return animation.ctx.delay; })).toEqual([200, 300]);
+    sub._finishAnimations();
+  });
+
+  it("Starts each word after the ones before it", function() {
+    var sub = getSubInstance("sub", { stagger: 100, durations: { hide: 50, resize: 300 } });
+    sub._applyAction(sub._computeActionsToChange([], sub._parseSentences(["Hi there"])[0]), false);
+    jasmine.clock().tick(50 + 5);
+    var widths = sub.wrapper.querySelectorAll(".sub-invisible");
+    expect(widths[0].style.transitionDuration).toEqual("300ms");
+    expect(widths[1].style.transitionDuration).toEqual("");
+    jasmine.clock().tick(100);
+    expect(widths[1].style.transitionDuration).toEqual("300ms");
+  });
+
+  it("Skips steps that take no time", function() {
+    var sub = getSubInstance("sub", { durations: { hide: 0, resize: 0, show: 0 } });
+    sub._applyAction(sub._computeActionsToChange([], sub._parseSentences(["Hi there"])[0]), false);
+    jasmine.clock().tick(5);
+    expect(sub.animations.length).toEqual(0);
+    expect(sub.wrapper.querySelector(".sub-visible").style.opacity).toEqual("1");
+  });
+});